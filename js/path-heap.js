@@ -0,0 +1,96 @@
+/**
+ * Indexed binary min-heap for the path planner's open sets
+ * Items are integer ids below a fixed capacity (grid cell indices), so the
+ * heap finds an item's slot directly and can lower its key in place instead
+ * of queueing duplicates.
+ */
+
+class IndexedMinHeap {
+    /**
+     * @param {number} capacity - Ids run from 0 to capacity - 1
+     */
+    constructor(capacity) {
+        this.keys = new Float64Array(capacity);
+        this.heap = new Int32Array(capacity);              // ids in heap order
+        this.slot = new Int32Array(capacity).fill(-1);     // id → heap position, -1 when absent
+        this.size = 0;
+    }
+    
+    has(id) {
+        return this.slot[id] >= 0;
+    }
+    
+    /** Key of the top item, Infinity when empty */
+    get minKey() {
+        return this.size ? this.keys[this.heap[0]] : Infinity;
+    }
+    
+    /**
+     * Queue an id, or lower its key if it is already queued with a higher one.
+     * @returns {boolean} false if the id was queued with a key no higher
+     */
+    push(id, key) {
+        let i = this.slot[id];
+        if (i < 0) {
+            i = this.size++;
+            this.heap[i] = id;
+            this.slot[id] = i;
+        } else if (key >= this.keys[id]) {
+            return false;
+        }
+        this.keys[id] = key;
+        this.siftUp(i);
+        return true;
+    }
+    
+    /** Remove and return the id with the lowest key */
+    pop() {
+        const top = this.heap[0];
+        this.slot[top] = -1;
+        this.size--;
+        if (this.size > 0) {
+            const last = this.heap[this.size];
+            this.heap[0] = last;
+            this.slot[last] = 0;
+            this.siftDown(0);
+        }
+        return top;
+    }
+    
+    clear() {
+        for (let i = 0; i < this.size; i++) this.slot[this.heap[i]] = -1;
+        this.size = 0;
+    }
+    
+    siftUp(i) {
+        const { heap, keys, slot } = this;
+        const id = heap[i];
+        const key = keys[id];
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (keys[heap[parent]] <= key) break;
+            heap[i] = heap[parent];
+            slot[heap[i]] = i;
+            i = parent;
+        }
+        heap[i] = id;
+        slot[id] = i;
+    }
+    
+    siftDown(i) {
+        const { heap, keys, slot, size } = this;
+        const id = heap[i];
+        const key = keys[id];
+        for (;;) {
+            let child = 2 * i + 1;
+            if (child >= size) break;
+            if (child + 1 < size && keys[heap[child + 1]] < keys[heap[child]]) child++;
+            if (keys[heap[child]] >= key) break;
+            heap[i] = heap[child];
+            slot[heap[i]] = i;
+            i = child;
+        }
+        heap[i] = id;
+        slot[id] = i;
+    }
+}
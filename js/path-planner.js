@@ -1,6 +1,8 @@
 /**
  * Interactive Path Planning Visualizer
- * Demonstrates A*, Dijkstra, and RRT algorithms
+ * Demonstrates A*, Dijkstra, BFS, greedy best-first, bidirectional A*,
+ * Jump Point Search, Theta*, RRT, RRT*, RRT-Connect and PRM, with optional
+ * shortcut and spline smoothing of the result
  * For robotics portfolio - showcasing motion planning skills
  */
 
@@ -13,13 +15,13 @@ class PathPlanner {
         }
         
         // Grid configuration
-        this.gridSize = 25;
+        this.cols = 25;
+        this.rows = 25;
         this.cellSize = 0;
         
         // Grid state
         this.grid = [];
-        this.start = { x: 2, y: 12 };
-        this.goal = { x: 22, y: 12 };
+        this.setDefaultEndpoints();
         
         // Drawing state
         this.isDrawing = false;
@@ -33,9 +35,27 @@ class PathPlanner {
         
         // Path result
         this.path = [];
-        this.visited = new Set();
+        this.smoothedPath = null;      // post-processed path, null when smoothing is off
+        this.smoothing = { shortcut: false, spline: false };
+        this.visited = new Set();      // cell indices, y * cols + x
         this.frontier = new Set();
-        this.rrtTree = null;
+        this.rrtTree = null;           // sampled nodes, each drawn with the edge to its parent
+        this.roadmap = null;           // PRM graph, kept between queries until the map changes
+        
+        // Sampling-based planners
+        this.sampling = {
+            stepSize: 2,       // cells per extension
+            goalBias: 0.1,     // chance of sampling the goal itself
+            radius: 4,         // RRT* rewiring and PRM connection radius, cells
+            maxIter: 1500      // iterations (RRT family) or samples (PRM)
+        };
+        
+        // Layered rendering: grid lines and obstacles are cached offscreen
+        // and only redrawn when the map changes; explored cells are painted
+        // one pixel per cell and scaled up
+        this.staticLayer = document.createElement('canvas');
+        this.searchLayer = document.createElement('canvas');
+        this.staticDirty = true;
         
         // Colors
         this.colors = {
@@ -46,8 +66,10 @@ class PathPlanner {
             visited: 'rgba(0, 240, 255, 0.3)',
             frontier: 'rgba(0, 240, 255, 0.6)',
             path: '#00f0ff',
+            rawPath: 'rgba(0, 240, 255, 0.4)',
             gridLine: 'rgba(0, 240, 255, 0.1)',
-            rrtTree: 'rgba(0, 240, 255, 0.4)'
+            rrtTree: 'rgba(0, 240, 255, 0.4)',
+            roadmap: 'rgba(0, 240, 255, 0.15)'
         };
         
         this.init();
@@ -71,7 +93,32 @@ class PathPlanner {
                         <div class="algorithm-buttons">
                             <button class="algo-btn active" data-algo="astar">A*</button>
                             <button class="algo-btn" data-algo="dijkstra">Dijkstra</button>
+                            <button class="algo-btn" data-algo="bfs" title="Breadth-first search">BFS</button>
+                            <button class="algo-btn" data-algo="greedy" title="Greedy best-first search">Greedy</button>
+                            <button class="algo-btn" data-algo="bidirectional" title="Bidirectional A*">Bi-A*</button>
+                            <button class="algo-btn" data-algo="jps" title="Jump Point Search">JPS</button>
+                            <button class="algo-btn" data-algo="thetastar" title="Any-angle Theta*">Theta*</button>
                             <button class="algo-btn" data-algo="rrt">RRT</button>
+                            <button class="algo-btn" data-algo="rrtstar">RRT*</button>
+                            <button class="algo-btn" data-algo="rrtconnect" title="Bidirectional RRT-Connect">RRT-Connect</button>
+                            <button class="algo-btn" data-algo="prm" title="Probabilistic roadmap">PRM</button>
+                        </div>
+                    </div>
+                    <div class="control-group sampling-controls" style="display: none">
+                        <label class="control-label">Sampling</label>
+                        <div class="sampling-inputs">
+                            <label title="Extension step, cells">Step
+                                <input type="number" class="grid-input" data-param="stepSize" min="0.5" max="50" step="0.5" value="2">
+                            </label>
+                            <label title="Chance of sampling the goal">Bias
+                                <input type="number" class="grid-input" data-param="goalBias" min="0" max="1" step="0.05" value="0.1">
+                            </label>
+                            <label title="Rewiring / connection radius, cells">Radius
+                                <input type="number" class="grid-input" data-param="radius" min="1" max="100" step="0.5" value="4">
+                            </label>
+                            <label title="Iteration budget (PRM: samples)">Iters
+                                <input type="number" class="grid-input" data-param="maxIter" min="50" max="20000" step="50" value="1500">
+                            </label>
                         </div>
                     </div>
                     <div class="control-group">
@@ -95,6 +142,21 @@ class PathPlanner {
                             </button>
                         </div>
                     </div>
+                    <div class="control-group">
+                        <label class="control-label">Post-process</label>
+                        <div class="algorithm-buttons">
+                            <button class="post-btn" data-post="shortcut" title="Greedy line-of-sight shortcuts">Shortcut</button>
+                            <button class="post-btn" data-post="spline" title="Cubic B-spline, kept clear of obstacles">Spline</button>
+                        </div>
+                    </div>
+                    <div class="control-group">
+                        <label class="control-label">Grid</label>
+                        <div class="grid-size-inputs">
+                            <input type="number" class="grid-input grid-cols" min="10" max="300" value="25">
+                            <span>×</span>
+                            <input type="number" class="grid-input grid-rows" min="10" max="200" value="25">
+                        </div>
+                    </div>
                     <div class="control-group">
                         <label class="control-label">Speed</label>
                         <input type="range" class="speed-slider" min="5" max="100" value="70">
@@ -125,10 +187,18 @@ class PathPlanner {
                             <span class="stat-label">Nodes:</span>
                             <span class="stat-value nodes-count">0</span>
                         </div>
+                        <div class="stat">
+                            <span class="stat-label">Expansions:</span>
+                            <span class="stat-value expansion-rate">-</span>
+                        </div>
                         <div class="stat">
                             <span class="stat-label">Path:</span>
                             <span class="stat-value path-length">-</span>
                         </div>
+                        <div class="stat">
+                            <span class="stat-label">Smoothed:</span>
+                            <span class="stat-value smoothed-length">-</span>
+                        </div>
                         <div class="stat">
                             <span class="stat-label">Status:</span>
                             <span class="stat-value status-text">Ready</span>
@@ -142,6 +212,7 @@ class PathPlanner {
                     <div class="legend-item"><span class="legend-color visited"></span>Explored</div>
                     <div class="legend-item"><span class="legend-color frontier"></span>Frontier</div>
                     <div class="legend-item"><span class="legend-color path"></span>Path</div>
+                    <div class="legend-item"><span class="legend-color raw-path"></span>Raw path</div>
                 </div>
             </div>
         `;
@@ -156,44 +227,97 @@ class PathPlanner {
     resizeCanvas() {
         if (!this.canvas) return;
         
+        // Fit the width, then shrink if the map would be taller than 550px
         const containerEl = this.canvas.parentElement;
         const rect = containerEl.getBoundingClientRect();
-        const size = Math.min(rect.width - 40, 550);
+        const cellSize = Math.min((rect.width - 40) / this.cols, 550 / this.rows);
+        const width = cellSize * this.cols;
+        const height = cellSize * this.rows;
         
         const dpr = window.devicePixelRatio || 1;
-        this.canvas.width = size * dpr;
-        this.canvas.height = size * dpr;
-        this.canvas.style.width = size + 'px';
-        this.canvas.style.height = size + 'px';
+        this.canvas.width = width * dpr;
+        this.canvas.height = height * dpr;
+        this.canvas.style.width = width + 'px';
+        this.canvas.style.height = height + 'px';
         this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.ctx.scale(dpr, dpr);
         
-        this.canvasSize = size;
-        this.cellSize = size / this.gridSize;
+        this.staticLayer.width = width * dpr;
+        this.staticLayer.height = height * dpr;
+        this.dpr = dpr;
+        this.canvasWidth = width;
+        this.canvasHeight = height;
+        this.cellSize = cellSize;
+        this.staticDirty = true;
         
         this.draw();
     }
     
     initGrid() {
         this.grid = [];
-        for (let y = 0; y < this.gridSize; y++) {
+        for (let y = 0; y < this.rows; y++) {
             this.grid[y] = [];
-            for (let x = 0; x < this.gridSize; x++) {
+            for (let x = 0; x < this.cols; x++) {
                 this.grid[y][x] = 0;
             }
         }
         this.addDefaultObstacles();
+        
+        this.searchLayer.width = this.cols;
+        this.searchLayer.height = this.rows;
+        this.searchPixels = null;
+        this.staticDirty = true;
+        this.roadmap = null;
+    }
+    
+    /** Map a coordinate of the original 25×25 layout onto the current grid */
+    scaleX(x) {
+        return Math.min(this.cols - 1, Math.round(x * this.cols / 25));
+    }
+    
+    scaleY(y) {
+        return Math.min(this.rows - 1, Math.round(y * this.rows / 25));
+    }
+    
+    setDefaultEndpoints() {
+        this.start = { x: this.scaleX(2), y: this.scaleY(12) };
+        this.goal = { x: this.scaleX(22), y: this.scaleY(12) };
     }
     
     addDefaultObstacles() {
-        // Vertical walls
-        for (let y = 3; y < 10; y++) this.grid[y][8] = 1;
-        for (let y = 15; y < 22; y++) this.grid[y][8] = 1;
-        for (let y = 5; y < 20; y++) this.grid[y][16] = 1;
+        // Walls of the 25×25 layout, stretched to the grid: [x0, y0, x1, y1) in cells
+        const walls = [
+            [8, 3, 9, 10], [8, 15, 9, 22], [16, 5, 17, 20],     // vertical
+            [10, 6, 16, 7], [10, 18, 14, 19]                     // horizontal
+        ];
+        for (const [x0, y0, x1, y1] of walls) {
+            const xEnd = Math.max(this.scaleX(x1), this.scaleX(x0) + 1);
+            const yEnd = Math.max(this.scaleY(y1), this.scaleY(y0) + 1);
+            for (let y = this.scaleY(y0); y < yEnd; y++) {
+                for (let x = this.scaleX(x0); x < xEnd; x++) this.grid[y][x] = 1;
+            }
+        }
+    }
+    
+    /**
+     * Change the map resolution. The map, start and goal go back to the
+     * default layout at the new size.
+     */
+    setGridSize(cols, rows) {
+        this.clearPath();
+        const span = Math.max(this.cols, this.rows);
+        this.cols = Math.max(10, Math.min(300, Math.round(cols) || 25));
+        this.rows = Math.max(10, Math.min(200, Math.round(rows) || 25));
         
-        // Horizontal walls
-        for (let x = 10; x < 16; x++) this.grid[6][x] = 1;
-        for (let x = 10; x < 14; x++) this.grid[18][x] = 1;
+        // Sampling distances keep their size relative to the map
+        const scale = Math.max(this.cols, this.rows) / span;
+        for (const param of ['stepSize', 'radius']) {
+            this.sampling[param] = Math.max(0.5, Math.round(this.sampling[param] * scale * 2) / 2);
+        }
+        this.syncSamplingInputs();
+        this.setDefaultEndpoints();
+        this.initGrid();
+        this.resizeCanvas();
     }
     
     setupEventListeners() {
@@ -230,6 +354,8 @@ class PathPlanner {
                 this.container.querySelectorAll('.algo-btn').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
                 this.currentAlgorithm = btn.dataset.algo;
+                const sampling = this.container.querySelector('.sampling-controls');
+                if (sampling) sampling.style.display = PathPlanner.SAMPLING.includes(this.currentAlgorithm) ? '' : 'none';
                 this.clearPath();
             });
         });
@@ -243,6 +369,43 @@ class PathPlanner {
             });
         });
         
+        // Post-processing toggles apply to the current path straight away
+        this.container.querySelectorAll('.post-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const step = btn.dataset.post;
+                this.smoothing[step] = !this.smoothing[step];
+                btn.classList.toggle('active', this.smoothing[step]);
+                this.setPath(this.path);
+            });
+        });
+        
+        // Grid resolution
+        const colsInput = this.container.querySelector('.grid-cols');
+        const rowsInput = this.container.querySelector('.grid-rows');
+        [colsInput, rowsInput].forEach(input => {
+            if (!input) return;
+            input.addEventListener('change', () => {
+                this.setGridSize(parseInt(colsInput.value), parseInt(rowsInput.value));
+                colsInput.value = this.cols;
+                rowsInput.value = this.rows;
+            });
+        });
+        
+        // Sampling parameters, clamped to each input's range
+        this.container.querySelectorAll('.sampling-inputs input').forEach(input => {
+            input.addEventListener('change', () => {
+                const param = input.dataset.param;
+                const value = parseFloat(input.value);
+                if (Number.isFinite(value)) {
+                    const clamped = Math.max(parseFloat(input.min), Math.min(parseFloat(input.max), value));
+                    this.sampling[param] = param === 'maxIter' ? Math.round(clamped) : clamped;
+                }
+                input.value = this.sampling[param];
+                this.roadmap = null;
+                this.clearPath();
+            });
+        });
+        
         // Speed slider
         const slider = this.container.querySelector('.speed-slider');
         if (slider) {
@@ -268,13 +431,13 @@ class PathPlanner {
     
     getGridPos(e) {
         const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvasSize / rect.width;
-        const scaleY = this.canvasSize / rect.height;
+        const scaleX = this.canvasWidth / rect.width;
+        const scaleY = this.canvasHeight / rect.height;
         const x = Math.floor((e.clientX - rect.left) * scaleX / this.cellSize);
         const y = Math.floor((e.clientY - rect.top) * scaleY / this.cellSize);
         return { 
-            x: Math.max(0, Math.min(x, this.gridSize - 1)), 
-            y: Math.max(0, Math.min(y, this.gridSize - 1)) 
+            x: Math.max(0, Math.min(x, this.cols - 1)), 
+            y: Math.max(0, Math.min(y, this.rows - 1)) 
         };
     }
     
@@ -293,9 +456,13 @@ class PathPlanner {
         switch (this.drawMode) {
             case 'obstacle':
                 this.grid[y][x] = 1;
+                this.staticDirty = true;
+                this.roadmap = null;
                 break;
             case 'erase':
                 this.grid[y][x] = 0;
+                this.staticDirty = true;
+                this.roadmap = null;
                 break;
             case 'start':
                 if (this.grid[y][x] === 0) this.start = { x, y };
@@ -334,9 +501,33 @@ class PathPlanner {
                 case 'dijkstra':
                     await this.runDijkstra();
                     break;
+                case 'bfs':
+                    await this.runBFS();
+                    break;
+                case 'greedy':
+                    await this.runGreedy();
+                    break;
+                case 'bidirectional':
+                    await this.runBidirectionalAStar();
+                    break;
+                case 'jps':
+                    await this.runJPS();
+                    break;
+                case 'thetastar':
+                    await this.runThetaStar();
+                    break;
                 case 'rrt':
                     await this.runRRT();
                     break;
+                case 'rrtstar':
+                    await this.runRRTStar();
+                    break;
+                case 'rrtconnect':
+                    await this.runRRTConnect();
+                    break;
+                case 'prm':
+                    await this.runPRM();
+                    break;
             }
         } catch (err) {
             console.error('Algorithm error:', err);
@@ -348,211 +539,828 @@ class PathPlanner {
     }
     
     async runAStar() {
-        const openSet = [{ ...this.start, g: 0, f: this.heuristic(this.start, this.goal), parent: null }];
-        const closedSet = new Set();
-        const gScores = new Map();
-        gScores.set(`${this.start.x},${this.start.y}`, 0);
-        
-        while (openSet.length > 0 && this.isRunning) {
-            while (this.isPaused && this.isRunning) {
-                await this.delay(100);
+        await this.runGridSearch((g, h) => g + h);
+    }
+    
+    async runDijkstra() {
+        await this.runGridSearch(g => g);
+    }
+    
+    /** Goes wherever looks closest to the goal: fast, but the path is not optimal */
+    async runGreedy() {
+        await this.runGridSearch((g, h) => h);
+    }
+    
+    /**
+     * Theta*: A* where a cell may hang off its neighbor's parent instead
+     * when that parent can see it, so the path turns at any angle rather
+     * than along the eight grid directions.
+     */
+    async runThetaStar() {
+        await this.runGridSearch((g, h) => g + h, true);
+    }
+    
+    /**
+     * Best-first search over integer cell indices. The open set is an
+     * indexed binary heap keyed by priority(g, h), so a cheaper route to a
+     * queued cell lowers its key instead of queueing it twice.
+     * @param {Function} priority - (g, h) → queue key
+     * @param {boolean} [anyAngle] - Theta* parent shortcuts, with a
+     *     straight-line heuristic to match
+     */
+    async runGridSearch(priority, anyAngle = false) {
+        const h = anyAngle ? (a, b) => this.distance(a, b) : (a, b) => this.heuristic(a, b);
+        const cells = this.cols * this.rows;
+        const open = new IndexedMinHeap(cells);
+        const g = new Float64Array(cells).fill(Infinity);
+        const parents = new Int32Array(cells).fill(-1);
+        const closed = new Uint8Array(cells);
+        const startIndex = this.toIndex(this.start.x, this.start.y);
+        const goalIndex = this.toIndex(this.goal.x, this.goal.y);
+        
+        g[startIndex] = 0;
+        open.push(startIndex, priority(0, h(this.start, this.goal)));
+        this.frontier.add(startIndex);
+        
+        // Search time excludes drawing and animation delays
+        let expansions = 0;
+        let searchTime = 0;
+        
+        while (open.size > 0 && this.isRunning) {
+            await this.waitWhilePaused();
+            if (!this.isRunning) break;
+            
+            const t0 = performance.now();
+            const current = open.pop();
+            this.frontier.delete(current);
+            
+            if (current === goalIndex) {
+                this.updateNodes(expansions);
+                this.updateRate(expansions, searchTime);
+                this.reconstructPath(parents, current);
+                this.updateStatus('Path Found!');
+                return;
             }
+            
+            closed[current] = 1;
+            this.visited.add(current);
+            expansions++;
+            
+            const grandparent = anyAngle ? parents[current] : -1;
+            this.forEachNeighbor(current, (next, cost) => {
+                if (closed[next]) return;
+                const cell = this.cellOf(next);
+                let from = current;
+                let tentativeG = g[current] + cost;
+                if (grandparent >= 0 && !this.lineCollides(this.cellOf(grandparent), cell)) {
+                    from = grandparent;
+                    tentativeG = g[grandparent] + this.distance(this.cellOf(grandparent), cell);
+                }
+                if (tentativeG >= g[next]) return;
+                
+                g[next] = tentativeG;
+                parents[next] = from;
+                open.push(next, priority(tentativeG, h(cell, this.goal)));
+                this.frontier.add(next);
+            });
+            searchTime += performance.now() - t0;
+            await this.showProgress(expansions, searchTime);
+        }
+        
+        this.updateNodes(expansions);
+        this.updateRate(expansions, searchTime);
+        if (this.isRunning) this.updateStatus('No Path Found');
+    }
+    
+    /**
+     * Breadth-first search: a FIFO queue, so cells come out in order of
+     * move count. Fewest moves, but a diagonal counts the same as a
+     * straight step, so the path is not always the shortest.
+     */
+    async runBFS() {
+        const cells = this.cols * this.rows;
+        const queue = new Int32Array(cells);
+        const parents = new Int32Array(cells).fill(-1);
+        const seen = new Uint8Array(cells);
+        const startIndex = this.toIndex(this.start.x, this.start.y);
+        const goalIndex = this.toIndex(this.goal.x, this.goal.y);
+        
+        let head = 0;
+        let tail = 0;
+        queue[tail++] = startIndex;
+        seen[startIndex] = 1;
+        this.frontier.add(startIndex);
+        
+        let expansions = 0;
+        let searchTime = 0;
+        
+        while (head < tail && this.isRunning) {
+            await this.waitWhilePaused();
             if (!this.isRunning) break;
             
-            openSet.sort((a, b) => a.f - b.f);
-            const current = openSet.shift();
-            const currentKey = `${current.x},${current.y}`;
+            const t0 = performance.now();
+            const current = queue[head++];
+            this.frontier.delete(current);
             
-            if (current.x === this.goal.x && current.y === this.goal.y) {
-                this.reconstructPath(current);
+            if (current === goalIndex) {
+                this.updateNodes(expansions);
+                this.updateRate(expansions, searchTime);
+                this.reconstructPath(parents, current);
                 this.updateStatus('Path Found!');
                 return;
             }
             
-            closedSet.add(currentKey);
-            this.visited.add(currentKey);
+            this.visited.add(current);
+            expansions++;
+            
+            this.forEachNeighbor(current, next => {
+                if (seen[next]) return;
+                seen[next] = 1;
+                parents[next] = current;
+                queue[tail++] = next;
+                this.frontier.add(next);
+            });
+            searchTime += performance.now() - t0;
+            await this.showProgress(expansions, searchTime);
+        }
+        
+        this.updateNodes(expansions);
+        this.updateRate(expansions, searchTime);
+        if (this.isRunning) this.updateStatus('No Path Found');
+    }
+    
+    /**
+     * A* from both ends at once, expanding the two sides in turn. Each side
+     * aims its heuristic at the other's root. The best meeting found so far
+     * is final once either side's lowest f reaches its cost, since every
+     * path still has to leave through that side's open set.
+     */
+    async runBidirectionalAStar() {
+        const cells = this.cols * this.rows;
+        const startIndex = this.toIndex(this.start.x, this.start.y);
+        const goalIndex = this.toIndex(this.goal.x, this.goal.y);
+        const side = (root, target) => ({
+            root,
+            target,
+            open: new IndexedMinHeap(cells),
+            g: new Float64Array(cells).fill(Infinity),
+            parents: new Int32Array(cells).fill(-1),
+            closed: new Uint8Array(cells)
+        });
+        const forward = side(startIndex, this.goal);
+        const backward = side(goalIndex, this.start);
+        
+        for (const s of [forward, backward]) {
+            s.g[s.root] = 0;
+            s.open.push(s.root, this.heuristic(this.cellOf(s.root), s.target));
+            this.frontier.add(s.root);
+        }
+        
+        const trivial = startIndex === goalIndex;
+        let best = trivial ? 0 : Infinity;     // cost of the best start-goal path seen
+        let meet = trivial ? startIndex : -1;  // the cell where it joins the two trees
+        let expansions = 0;
+        let searchTime = 0;
+        
+        while (this.isRunning) {
+            await this.waitWhilePaused();
+            if (!this.isRunning) break;
+            if (forward.open.minKey >= best || backward.open.minKey >= best) break;
             
-            this.frontier.clear();
-            openSet.forEach(n => this.frontier.add(`${n.x},${n.y}`));
+            const t0 = performance.now();
+            const [s, other] = expansions % 2 === 0 ? [forward, backward] : [backward, forward];
+            const current = s.open.pop();
+            this.frontier.delete(current);
             
-            this.updateNodes(closedSet.size);
-            this.draw();
-            await this.delay(this.animationSpeed);
+            s.closed[current] = 1;
+            this.visited.add(current);
+            expansions++;
             
-            for (const neighbor of this.getNeighbors(current)) {
-                const neighborKey = `${neighbor.x},${neighbor.y}`;
-                if (closedSet.has(neighborKey)) continue;
-                if (this.grid[neighbor.y][neighbor.x] === 1) continue;
+            this.forEachNeighbor(current, (next, cost) => {
+                if (s.closed[next]) return;
+                const tentativeG = s.g[current] + cost;
+                if (tentativeG >= s.g[next]) return;
                 
-                const tentativeG = current.g + this.distance(current, neighbor);
-                const existingG = gScores.get(neighborKey);
+                s.g[next] = tentativeG;
+                s.parents[next] = current;
+                s.open.push(next, tentativeG + this.heuristic(this.cellOf(next), s.target));
+                this.frontier.add(next);
                 
-                if (existingG === undefined || tentativeG < existingG) {
-                    neighbor.g = tentativeG;
-                    neighbor.f = tentativeG + this.heuristic(neighbor, this.goal);
-                    neighbor.parent = current;
-                    gScores.set(neighborKey, tentativeG);
-                    
-                    if (!openSet.find(n => n.x === neighbor.x && n.y === neighbor.y)) {
-                        openSet.push(neighbor);
-                    }
+                if (tentativeG + other.g[next] < best) {
+                    best = tentativeG + other.g[next];
+                    meet = next;
                 }
-            }
+            });
+            searchTime += performance.now() - t0;
+            await this.showProgress(expansions, searchTime);
         }
         
-        if (this.isRunning) this.updateStatus('No Path Found');
+        this.updateNodes(expansions);
+        this.updateRate(expansions, searchTime);
+        if (!this.isRunning) return;
+        
+        if (meet >= 0) {
+            this.reconstructPath(forward.parents, meet, backward.parents);
+            this.updateStatus('Path Found!');
+        } else {
+            this.updateStatus('No Path Found');
+        }
     }
     
-    async runDijkstra() {
-        const openSet = [{ ...this.start, dist: 0, parent: null }];
-        const closedSet = new Set();
-        const distances = new Map();
-        distances.set(`${this.start.x},${this.start.y}`, 0);
-        
-        while (openSet.length > 0 && this.isRunning) {
-            while (this.isPaused && this.isRunning) {
-                await this.delay(100);
-            }
+    /**
+     * Jump Point Search: A* that skips along straight and diagonal runs of
+     * open cells and only queues the cells where a run has to branch (jump
+     * points), so far fewer nodes are expanded for the same optimal path.
+     * This is the variant for grids where diagonals may not cut corners.
+     */
+    async runJPS() {
+        const cells = this.cols * this.rows;
+        const open = new IndexedMinHeap(cells);
+        const g = new Float64Array(cells).fill(Infinity);
+        const parents = new Int32Array(cells).fill(-1);
+        const closed = new Uint8Array(cells);
+        const startIndex = this.toIndex(this.start.x, this.start.y);
+        const goalIndex = this.toIndex(this.goal.x, this.goal.y);
+        
+        g[startIndex] = 0;
+        open.push(startIndex, this.heuristic(this.start, this.goal));
+        this.frontier.add(startIndex);
+        
+        let expansions = 0;
+        let searchTime = 0;
+        
+        while (open.size > 0 && this.isRunning) {
+            await this.waitWhilePaused();
             if (!this.isRunning) break;
             
-            openSet.sort((a, b) => a.dist - b.dist);
-            const current = openSet.shift();
-            const currentKey = `${current.x},${current.y}`;
-            
-            if (closedSet.has(currentKey)) continue;
+            const t0 = performance.now();
+            const current = open.pop();
+            this.frontier.delete(current);
             
-            if (current.x === this.goal.x && current.y === this.goal.y) {
-                this.reconstructPath(current);
+            if (current === goalIndex) {
+                this.updateNodes(expansions);
+                this.updateRate(expansions, searchTime);
+                this.reconstructPath(parents, current);
                 this.updateStatus('Path Found!');
                 return;
             }
             
-            closedSet.add(currentKey);
-            this.visited.add(currentKey);
+            closed[current] = 1;
+            this.visited.add(current);
+            expansions++;
             
-            this.frontier.clear();
-            openSet.forEach(n => this.frontier.add(`${n.x},${n.y}`));
-            
-            this.updateNodes(closedSet.size);
-            this.draw();
-            await this.delay(this.animationSpeed);
-            
-            for (const neighbor of this.getNeighbors(current)) {
-                const neighborKey = `${neighbor.x},${neighbor.y}`;
-                if (closedSet.has(neighborKey)) continue;
-                if (this.grid[neighbor.y][neighbor.x] === 1) continue;
+            const cell = this.cellOf(current);
+            for (const [dx, dy] of this.prunedDirections(cell, parents[current])) {
+                const jumpPoint = this.jump(cell.x + dx, cell.y + dy, dx, dy);
+                if (jumpPoint < 0 || closed[jumpPoint]) continue;
                 
-                const newDist = current.dist + this.distance(current, neighbor);
-                const existingDist = distances.get(neighborKey);
+                const next = this.cellOf(jumpPoint);
+                const tentativeG = g[current] + this.heuristic(cell, next);   // runs are straight or diagonal
+                if (tentativeG >= g[jumpPoint]) continue;
                 
-                if (existingDist === undefined || newDist < existingDist) {
-                    distances.set(neighborKey, newDist);
-                    openSet.push({ ...neighbor, dist: newDist, parent: current });
-                }
+                g[jumpPoint] = tentativeG;
+                parents[jumpPoint] = current;
+                open.push(jumpPoint, tentativeG + this.heuristic(next, this.goal));
+                this.frontier.add(jumpPoint);
             }
+            searchTime += performance.now() - t0;
+            await this.showProgress(expansions, searchTime);
         }
         
+        this.updateNodes(expansions);
+        this.updateRate(expansions, searchTime);
         if (this.isRunning) this.updateStatus('No Path Found');
     }
     
+    /**
+     * Directions worth searching from a jump point: onward from the way it
+     * was reached, plus the turns around walls that force a branch. The
+     * start searches everywhere.
+     * @param {{x: number, y: number}} cell
+     * @param {number} parentIndex - Previous jump point, -1 at the start
+     */
+    prunedDirections(cell, parentIndex) {
+        const { x, y } = cell;
+        const free = (cx, cy) => this.isFree(cx, cy);
+        
+        if (parentIndex < 0) {
+            return PathPlanner.DIRECTIONS.filter(([dx, dy]) =>
+                free(x + dx, y + dy) && (dx === 0 || dy === 0 || (free(x + dx, y) && free(x, y + dy))));
+        }
+        
+        const parent = this.cellOf(parentIndex);
+        const dx = Math.sign(x - parent.x);
+        const dy = Math.sign(y - parent.y);
+        const dirs = [];
+        
+        if (dx !== 0 && dy !== 0) {
+            if (free(x, y + dy)) dirs.push([0, dy]);
+            if (free(x + dx, y)) dirs.push([dx, 0]);
+            if (free(x, y + dy) && free(x + dx, y)) dirs.push([dx, dy]);
+        } else if (dx !== 0) {
+            const ahead = free(x + dx, y);
+            for (const side of [-1, 1]) {
+                if (!free(x, y + side)) continue;
+                dirs.push([0, side]);
+                if (ahead) dirs.push([dx, side]);
+            }
+            if (ahead) dirs.push([dx, 0]);
+        } else {
+            const ahead = free(x, y + dy);
+            for (const side of [-1, 1]) {
+                if (!free(x + side, y)) continue;
+                dirs.push([side, 0]);
+                if (ahead) dirs.push([side, dy]);
+            }
+            if (ahead) dirs.push([0, dy]);
+        }
+        return dirs;
+    }
+    
+    /**
+     * Run from (x, y) in direction (dx, dy) until a jump point: the goal, a
+     * cell with a neighbor only reachable through it, or (moving diagonally)
+     * a cell whose straight runs find one.
+     * @returns {number} Cell index of the jump point, -1 if the run hits a wall
+     */
+    jump(x, y, dx, dy) {
+        const free = (cx, cy) => this.isFree(cx, cy);
+        
+        for (;;) {
+            if (!free(x, y)) return -1;
+            if (x === this.goal.x && y === this.goal.y) return this.toIndex(x, y);
+            
+            if (dx !== 0 && dy !== 0) {
+                if (this.jump(x + dx, y, dx, 0) >= 0 || this.jump(x, y + dy, 0, dy) >= 0) return this.toIndex(x, y);
+            } else if (dx !== 0) {
+                if ((free(x, y - 1) && !free(x - dx, y - 1)) || (free(x, y + 1) && !free(x - dx, y + 1))) return this.toIndex(x, y);
+            } else if ((free(x - 1, y) && !free(x - 1, y - dy)) || (free(x + 1, y) && !free(x + 1, y - dy))) {
+                return this.toIndex(x, y);
+            }
+            
+            // No corner cutting: both sides of a diagonal step must be open
+            if (!free(x + dx, y) || !free(x, y + dy)) return -1;
+            x += dx;
+            y += dy;
+        }
+    }
+    
+    /** Single-tree RRT: stops at the first path it finds */
     async runRRT() {
+        const { stepSize, goalBias, maxIter } = this.sampling;
         const nodes = [{ ...this.start, parent: null }];
-        const maxIter = 1500;
-        const stepSize = 2;
-        const goalBias = 0.1;
         
         this.rrtTree = nodes;
         
         for (let i = 0; i < maxIter && this.isRunning; i++) {
-            while (this.isPaused && this.isRunning) {
-                await this.delay(100);
+            await this.waitWhilePaused();
+            if (!this.isRunning) break;
+            
+            const newNode = this.extend(nodes, this.samplePoint(goalBias, this.goal), stepSize);
+            if (!newNode) continue;
+            
+            // Goal check
+            if (this.distance(newNode, this.goal) < stepSize && !this.lineCollides(newNode, this.goal)) {
+                const goalNode = { ...this.goal, parent: newNode };
+                nodes.push(goalNode);
+                this.updateNodes(nodes.length);
+                this.reconstructRRTPath(goalNode);
+                this.updateStatus('Path Found!');
+                return;
+            }
+            
+            if (i % 3 === 0) {
+                this.updateNodes(nodes.length);
+                this.draw();
+                await this.delay(this.animationSpeed / 2);
             }
+        }
+        
+        if (this.isRunning) this.updateStatus('No Path Found');
+    }
+    
+    /**
+     * RRT*: each new node takes the cheapest collision-free parent within
+     * the radius, then becomes the parent of any neighbor it offers a
+     * cheaper route to. It spends the whole iteration budget, so the path
+     * keeps shortening after the first one is found.
+     */
+    async runRRTStar() {
+        const { stepSize, goalBias, radius, maxIter } = this.sampling;
+        const nodes = [{ ...this.start, parent: null, cost: 0, children: [] }];
+        let goalNode = null;     // the goal, hung off its cheapest parent so far
+        let shownCost = Infinity;
+        
+        this.rrtTree = nodes;
+        
+        for (let i = 0; i < maxIter && this.isRunning; i++) {
+            await this.waitWhilePaused();
             if (!this.isRunning) break;
             
-            // Random point with goal bias
-            const rand = Math.random() < goalBias 
-                ? { ...this.goal }
-                : { x: Math.random() * this.gridSize, y: Math.random() * this.gridSize };
-            
-            // Find nearest node
-            let nearest = nodes[0];
-            let minDist = Infinity;
-            for (const node of nodes) {
-                const d = this.distance(node, rand);
-                if (d < minDist) {
-                    minDist = d;
-                    nearest = node;
+            const node = this.extend(nodes, this.samplePoint(goalBias, this.goal), stepSize);
+            if (node) {
+                const near = nodes.filter(n => n !== node && this.distance(n, node) <= radius);
+                
+                // Choose parent
+                let parent = node.parent;
+                let cost = parent.cost + this.distance(parent, node);
+                for (const n of near) {
+                    const c = n.cost + this.distance(n, node);
+                    if (c < cost && !this.lineCollides(n, node)) {
+                        parent = n;
+                        cost = c;
+                    }
+                }
+                node.parent = parent;
+                node.cost = cost;
+                node.children = [];
+                parent.children.push(node);
+                
+                // Rewire
+                for (const n of near) {
+                    const c = cost + this.distance(node, n);
+                    if (c < n.cost && !this.lineCollides(node, n)) this.reparent(n, node, c);
+                }
+                
+                // Goal connection, kept if cheaper than the current one
+                if (goalNode) goalNode.cost = goalNode.parent.cost + this.distance(goalNode.parent, goalNode);
+                const d = this.distance(node, this.goal);
+                if (d < stepSize && (!goalNode || cost + d < goalNode.cost) && !this.lineCollides(node, this.goal)) {
+                    goalNode = { ...this.goal, parent: node, cost: cost + d };
+                }
+            }
+            
+            if (i % 3 === 0) {
+                this.updateNodes(nodes.length);
+                if (goalNode) {
+                    goalNode.cost = goalNode.parent.cost + this.distance(goalNode.parent, goalNode);
+                    if (goalNode.cost < shownCost) {
+                        shownCost = goalNode.cost;
+                        this.reconstructRRTPath(goalNode);
+                        this.updateStatus(`Cost ${shownCost.toFixed(2)}, improving...`);
+                    }
                 }
+                this.draw();
+                await this.delay(this.animationSpeed / 2);
             }
+        }
+        
+        this.updateNodes(nodes.length);
+        if (!this.isRunning) return;
+        if (goalNode) {
+            goalNode.cost = goalNode.parent.cost + this.distance(goalNode.parent, goalNode);
+            this.reconstructRRTPath(goalNode);
+            this.updateStatus(`Path Found! Cost ${goalNode.cost.toFixed(2)}`);
+        } else {
+            this.updateStatus('No Path Found');
+        }
+    }
+    
+    /** Move an RRT* node under a new parent and pass the cost change down its subtree */
+    reparent(node, parent, cost) {
+        const siblings = node.parent.children;
+        siblings.splice(siblings.indexOf(node), 1);
+        node.parent = parent;
+        parent.children.push(node);
+        
+        const delta = cost - node.cost;
+        const stack = [node];
+        while (stack.length) {
+            const n = stack.pop();
+            n.cost += delta;
+            stack.push(...n.children);
+        }
+    }
+    
+    /**
+     * RRT-Connect: one tree from each end. Each iteration one tree steps
+     * towards a random sample, then the other runs straight at the new node
+     * until it reaches it or hits a wall. The trees swap roles every time.
+     */
+    async runRRTConnect() {
+        const { stepSize, goalBias, maxIter } = this.sampling;
+        const startTree = [{ ...this.start, parent: null }];
+        const goalTree = [{ ...this.goal, parent: null }];
+        let grow = startTree;
+        let other = goalTree;
+        
+        this.rrtTree = startTree.concat(goalTree);
+        
+        for (let i = 0; i < maxIter && this.isRunning; i++) {
+            await this.waitWhilePaused();
+            if (!this.isRunning) break;
             
-            // Step towards random point
-            const angle = Math.atan2(rand.y - nearest.y, rand.x - nearest.x);
-            const newNode = {
-                x: nearest.x + Math.cos(angle) * stepSize,
-                y: nearest.y + Math.sin(angle) * stepSize,
-                parent: nearest
-            };
-            
-            // Bounds check
-            if (newNode.x < 0 || newNode.x >= this.gridSize || 
-                newNode.y < 0 || newNode.y >= this.gridSize) continue;
-            
-            // Collision check
-            if (!this.lineCollides(nearest, newNode)) {
-                nodes.push(newNode);
-                this.rrtTree = nodes;
+            // Goal bias aims at the other tree's root
+            const node = this.extend(grow, this.samplePoint(goalBias, other[0]), stepSize);
+            if (node) {
+                let reached = null;
+                for (let step = this.extend(other, node, stepSize); step; step = this.extend(other, node, stepSize)) {
+                    if (step.x === node.x && step.y === node.y) {
+                        reached = step;
+                        break;
+                    }
+                }
                 
-                // Goal check
-                if (this.distance(newNode, this.goal) < stepSize) {
-                    const goalNode = { ...this.goal, parent: newNode };
-                    nodes.push(goalNode);
-                    this.reconstructRRTPath(goalNode);
+                if (reached) {
+                    const [startSide, goalSide] = grow === startTree ? [node, reached] : [reached, node];
+                    this.rrtTree = startTree.concat(goalTree);
+                    this.updateNodes(this.rrtTree.length);
+                    this.reconstructRRTPath(startSide, goalSide.parent);
                     this.updateStatus('Path Found!');
                     return;
                 }
+            }
+            [grow, other] = [other, grow];
+            
+            if (i % 3 === 0) {
+                this.rrtTree = startTree.concat(goalTree);
+                this.updateNodes(this.rrtTree.length);
+                this.draw();
+                await this.delay(this.animationSpeed / 2);
+            }
+        }
+        
+        this.rrtTree = startTree.concat(goalTree);
+        this.updateNodes(this.rrtTree.length);
+        if (this.isRunning) this.updateStatus('No Path Found');
+    }
+    
+    /**
+     * Probabilistic roadmap. The learning phase scatters free samples and
+     * links each to its nearest neighbors in the radius by free straight
+     * edges; the query phase joins start and goal to the graph and searches
+     * it with A*. The roadmap is reused until the map or a sampling
+     * parameter changes.
+     */
+    async runPRM() {
+        if (!this.roadmap || !this.roadmap.complete) {
+            this.updateStatus('Building roadmap...');
+            await this.buildRoadmap();
+            if (!this.isRunning) return;
+        }
+        this.updateStatus('Querying roadmap...');
+        await this.queryRoadmap();
+    }
+    
+    async buildRoadmap() {
+        const roadmap = { nodes: [], edges: [], expanded: new Set(), complete: false };
+        this.roadmap = roadmap;
+        
+        for (let i = 0; i < this.sampling.maxIter && this.isRunning; i++) {
+            await this.waitWhilePaused();
+            if (!this.isRunning) break;
+            
+            const p = this.samplePoint(0);
+            if (!this.isFree(Math.round(p.x), Math.round(p.y))) continue;
+            
+            const index = roadmap.nodes.length;
+            const node = { x: p.x, y: p.y, neighbors: this.roadmapNeighbors(p) };
+            for (const j of node.neighbors) {
+                roadmap.nodes[j].neighbors.push(index);
+                roadmap.edges.push([j, index]);
+            }
+            roadmap.nodes.push(node);
+            
+            if (i % 10 === 0) {
+                this.updateNodes(roadmap.nodes.length);
+                this.draw();
+                await this.delay(this.animationSpeed / 2);
+            }
+        }
+        
+        this.updateNodes(roadmap.nodes.length);
+        if (this.isRunning) roadmap.complete = true;
+        else if (this.roadmap === roadmap) this.roadmap = null;
+    }
+    
+    /** Up to PRM_NEIGHBORS nearest roadmap nodes within the radius that p can see */
+    roadmapNeighbors(p) {
+        const nodes = this.roadmap.nodes;
+        return nodes
+            .map((node, i) => ({ i, d: this.distance(node, p) }))
+            .filter(c => c.d <= this.sampling.radius)
+            .sort((a, b) => a.d - b.d)
+            .slice(0, PathPlanner.PRM_NEIGHBORS)
+            .filter(c => !this.lineCollides(nodes[c.i], p))
+            .map(c => c.i);
+    }
+    
+    /** A* over the roadmap, with start and goal linked in as two extra nodes */
+    async queryRoadmap() {
+        const { nodes, expanded } = this.roadmap;
+        const startId = nodes.length;
+        const goalId = nodes.length + 1;
+        const points = nodes.concat([this.start, this.goal]);
+        
+        const links = nodes.map(node => node.neighbors.slice());
+        links[startId] = this.roadmapNeighbors(this.start);
+        links[goalId] = this.roadmapNeighbors(this.goal);
+        for (const id of [startId, goalId]) {
+            for (const j of links[id]) links[j].push(id);
+        }
+        if (this.distance(this.start, this.goal) <= this.sampling.radius && !this.lineCollides(this.start, this.goal)) {
+            links[startId].push(goalId);
+        }
+        
+        const open = new IndexedMinHeap(points.length);
+        const g = new Float64Array(points.length).fill(Infinity);
+        const parents = new Int32Array(points.length).fill(-1);
+        const closed = new Uint8Array(points.length);
+        g[startId] = 0;
+        open.push(startId, this.distance(this.start, this.goal));
+        expanded.clear();
+        
+        let expansions = 0;
+        let searchTime = 0;
+        
+        while (open.size > 0 && this.isRunning) {
+            await this.waitWhilePaused();
+            if (!this.isRunning) break;
+            
+            const t0 = performance.now();
+            const current = open.pop();
+            if (current === goalId) {
+                this.updateRate(expansions, searchTime);
+                const path = [];
+                for (let i = goalId; i >= 0; i = parents[i]) path.unshift({ x: points[i].x, y: points[i].y });
+                this.setPath(path);
+                this.updateStatus('Path Found!');
+                return;
+            }
+            
+            closed[current] = 1;
+            if (current < startId) expanded.add(current);
+            expansions++;
+            
+            for (const next of links[current]) {
+                if (closed[next]) continue;
+                const tentativeG = g[current] + this.distance(points[current], points[next]);
+                if (tentativeG >= g[next]) continue;
                 
-                if (i % 3 === 0) {
-                    this.updateNodes(nodes.length);
-                    this.draw();
-                    await this.delay(this.animationSpeed / 2);
-                }
+                g[next] = tentativeG;
+                parents[next] = current;
+                open.push(next, tentativeG + this.distance(points[next], this.goal));
             }
+            searchTime += performance.now() - t0;
+            
+            this.updateRate(expansions, searchTime);
+            this.draw();
+            await this.delay(this.animationSpeed);
         }
         
         if (this.isRunning) this.updateStatus('No Path Found');
     }
     
+    /** Random point on the map, or the target with probability bias */
+    samplePoint(bias, target) {
+        if (Math.random() < bias) return { x: target.x, y: target.y };
+        return { x: Math.random() * (this.cols - 1), y: Math.random() * (this.rows - 1) };
+    }
+    
+    nearestNode(nodes, p) {
+        let nearest = nodes[0];
+        let minDist = Infinity;
+        for (const node of nodes) {
+            const d = this.distance(node, p);
+            if (d < minDist) {
+                minDist = d;
+                nearest = node;
+            }
+        }
+        return nearest;
+    }
+    
+    /**
+     * Grow a tree from its nearest node towards a target, at most stepSize.
+     * @returns {Object|null} The new node, or null if the step is blocked
+     */
+    extend(tree, target, stepSize) {
+        const nearest = this.nearestNode(tree, target);
+        const d = this.distance(nearest, target);
+        if (d === 0) return null;
+        
+        const t = stepSize / d;
+        const node = d <= stepSize
+            ? { x: target.x, y: target.y, parent: nearest }
+            : { x: nearest.x + (target.x - nearest.x) * t, y: nearest.y + (target.y - nearest.y) * t, parent: nearest };
+        if (this.lineCollides(nearest, node)) return null;
+        
+        tree.push(node);
+        return node;
+    }
+    
+    /**
+     * Whether a straight segment crosses an obstacle, by walking every cell
+     * it passes through (Amanatides-Woo). Integer coordinates are cell
+     * centers. Where the segment goes exactly through a grid corner, both
+     * cells beside the corner must be free, like a diagonal grid move.
+     */
     lineCollides(from, to) {
-        const steps = Math.ceil(this.distance(from, to) * 2);
-        for (let i = 0; i <= steps; i++) {
-            const t = i / Math.max(steps, 1);
-            const x = Math.floor(from.x + (to.x - from.x) * t);
-            const y = Math.floor(from.y + (to.y - from.y) * t);
-            if (x >= 0 && x < this.gridSize && y >= 0 && y < this.gridSize) {
-                if (this.grid[y][x] === 1) return true;
+        const blocked = (x, y) => x >= 0 && x < this.cols && y >= 0 && y < this.rows && this.grid[y][x] === 1;
+        
+        // Shift so cell (x, y) spans [x, x + 1)
+        const x0 = from.x + 0.5;
+        const y0 = from.y + 0.5;
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        let x = Math.floor(x0);
+        let y = Math.floor(y0);
+        if (blocked(x, y)) return true;
+        
+        const stepX = Math.sign(dx);
+        const stepY = Math.sign(dy);
+        const tDeltaX = stepX ? 1 / Math.abs(dx) : Infinity;
+        const tDeltaY = stepY ? 1 / Math.abs(dy) : Infinity;
+        let tMaxX = stepX > 0 ? (x + 1 - x0) / dx : stepX < 0 ? (x0 - x) / -dx : Infinity;
+        let tMaxY = stepY > 0 ? (y + 1 - y0) / dy : stepY < 0 ? (y0 - y) / -dy : Infinity;
+        
+        let steps = Math.abs(Math.floor(to.x + 0.5) - x) + Math.abs(Math.floor(to.y + 0.5) - y);
+        while (steps > 0) {
+            if (Math.abs(tMaxX - tMaxY) < 1e-9) {
+                // Through a corner
+                if (blocked(x + stepX, y) || blocked(x, y + stepY)) return true;
+                x += stepX;
+                y += stepY;
+                tMaxX += tDeltaX;
+                tMaxY += tDeltaY;
+                steps -= 2;
+            } else if (tMaxX < tMaxY) {
+                x += stepX;
+                tMaxX += tDeltaX;
+                steps--;
+            } else {
+                y += stepY;
+                tMaxY += tDeltaY;
+                steps--;
             }
+            if (blocked(x, y)) return true;
         }
         return false;
     }
     
-    getNeighbors(node) {
-        const neighbors = [];
-        const dirs = [[-1,-1],[0,-1],[1,-1],[-1,0],[1,0],[-1,1],[0,1],[1,1]];
+    /** Show the current sampling parameters in their inputs */
+    syncSamplingInputs() {
+        this.container.querySelectorAll('.sampling-inputs input').forEach(input => {
+            input.value = this.sampling[input.dataset.param];
+        });
+    }
+    
+    /** Hold a running search while it is paused */
+    async waitWhilePaused() {
+        while (this.isPaused && this.isRunning) {
+            await this.delay(100);
+        }
+    }
+    
+    /** Redraw and wait a frame every expansionsPerFrame expansions */
+    async showProgress(expansions, searchTime) {
+        if (expansions % this.expansionsPerFrame !== 0) return;
+        this.updateNodes(expansions);
+        this.updateRate(expansions, searchTime);
+        this.draw();
+        await this.delay(this.animationSpeed);
+    }
+    
+    /** Expansions between redraws, so a search takes about as many frames at any resolution */
+    get expansionsPerFrame() {
+        return Math.max(1, Math.round(this.cols * this.rows / 625));
+    }
+    
+    toIndex(x, y) {
+        return y * this.cols + x;
+    }
+    
+    cellOf(index) {
+        return { x: index % this.cols, y: Math.floor(index / this.cols) };
+    }
+    
+    isFree(x, y) {
+        return x >= 0 && x < this.cols && y >= 0 && y < this.rows && this.grid[y][x] !== 1;
+    }
+    
+    /**
+     * Call visit(neighborIndex, stepCost) for each free 8-connected
+     * neighbor of a cell. Diagonals may not cut obstacle corners.
+     */
+    forEachNeighbor(index, visit) {
+        const cols = this.cols;
+        const x = index % cols;
+        const y = (index - x) / cols;
         
-        for (const [dx, dy] of dirs) {
-            const nx = node.x + dx;
-            const ny = node.y + dy;
-            if (nx >= 0 && nx < this.gridSize && ny >= 0 && ny < this.gridSize) {
+        for (const [dx, dy] of PathPlanner.DIRECTIONS) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= cols || ny < 0 || ny >= this.rows) continue;
+            if (this.grid[ny][nx] === 1) continue;
+            
+            if (dx !== 0 && dy !== 0) {
                 // Prevent corner cutting
-                if (dx !== 0 && dy !== 0) {
-                    if (this.grid[node.y][node.x + dx] === 1 || this.grid[node.y + dy][node.x] === 1) {
-                        continue;
-                    }
-                }
-                neighbors.push({ x: nx, y: ny });
+                if (this.grid[y][x + dx] === 1 || this.grid[y + dy][x] === 1) continue;
+                visit(ny * cols + nx, Math.SQRT2);
+            } else {
+                visit(ny * cols + nx, 1);
             }
         }
-        return neighbors;
     }
     
     heuristic(a, b) {
@@ -567,28 +1375,165 @@ class PathPlanner {
         return Math.sqrt(dx * dx + dy * dy);
     }
     
-    reconstructPath(endNode) {
-        this.path = [];
-        let current = endNode;
-        while (current) {
-            this.path.unshift({ x: current.x, y: current.y });
-            current = current.parent;
+    /**
+     * Follow parent links from a grid search back to the start. Straight
+     * and diagonal links between jump points are filled in cell by cell;
+     * any-angle (Theta*) links are kept as they are.
+     * @param {Int32Array} parents - Parent cell index per cell, -1 at the start
+     * @param {number} endIndex - Cell the path ends at
+     * @param {Int32Array} [goalParents] - Bidirectional search: links from
+     *     endIndex on to the goal
+     */
+    reconstructPath(parents, endIndex, goalParents = null) {
+        const corners = [];
+        for (let i = endIndex; i >= 0; i = parents[i]) corners.unshift(this.cellOf(i));
+        if (goalParents) {
+            for (let i = goalParents[endIndex]; i >= 0; i = goalParents[i]) corners.push(this.cellOf(i));
         }
-        this.updatePathLength(this.path.length);
-        this.draw();
+        
+        const path = corners.slice(0, 1);
+        for (let i = 1; i < corners.length; i++) {
+            const ex = corners[i].x - corners[i - 1].x;
+            const ey = corners[i].y - corners[i - 1].y;
+            if (ex !== 0 && ey !== 0 && Math.abs(ex) !== Math.abs(ey)) {
+                path.push(corners[i]);
+                continue;
+            }
+            
+            let { x, y } = corners[i - 1];
+            while (x !== corners[i].x || y !== corners[i].y) {
+                x += Math.sign(ex);
+                y += Math.sign(ey);
+                path.push({ x, y });
+            }
+        }
+        this.setPath(path);
     }
     
-    reconstructRRTPath(endNode) {
-        this.path = [];
-        let current = endNode;
-        while (current) {
-            this.path.unshift({ x: current.x, y: current.y });
-            current = current.parent;
+    /**
+     * Follow parent links from a sampled node back to the start.
+     * @param {Object} endNode - Node the path ends at
+     * @param {Object} [joinNode] - RRT-Connect: goal-tree node to carry on
+     *     from, up its parents to the goal
+     */
+    reconstructRRTPath(endNode, joinNode = null) {
+        const path = [];
+        for (let current = endNode; current; current = current.parent) {
+            path.unshift({ x: current.x, y: current.y });
+        }
+        for (let current = joinNode; current; current = current.parent) {
+            path.push({ x: current.x, y: current.y });
         }
-        this.updatePathLength(this.path.length);
+        this.setPath(path);
+    }
+    
+    // ==================== POST-PROCESSING ====================
+    
+    /** Show a planner's path, along with its post-processed version if any */
+    setPath(points) {
+        this.path = points;
+        this.smoothedPath = this.smoothPath(points);
+        this.updatePathLength(this.path, this.smoothedPath);
         this.draw();
     }
     
+    /**
+     * Run the enabled post-processing steps: shortcuts first, then the
+     * spline through what is left.
+     * @returns {Array|null} null when both steps are off
+     */
+    smoothPath(points) {
+        const { shortcut, spline } = this.smoothing;
+        if (points.length < 2 || (!shortcut && !spline)) return null;
+        
+        let result = points;
+        if (shortcut) result = this.shortcutPath(result);
+        if (spline) result = this.splinePath(result);
+        return result;
+    }
+    
+    /** Greedy line of sight: from each kept point, skip ahead while the next point is still visible */
+    shortcutPath(points) {
+        const result = [points[0]];
+        let anchor = 0;
+        while (anchor < points.length - 1) {
+            let next = anchor + 1;
+            while (next + 1 < points.length && !this.lineCollides(points[anchor], points[next + 1])) next++;
+            result.push(points[next]);
+            anchor = next;
+        }
+        return result;
+    }
+    
+    /**
+     * Clamped uniform cubic B-spline with the path as control polygon. A
+     * span that hits an obstacle pins its control points (tripling them),
+     * which pulls the curve onto the polygon there; with every point pinned
+     * the curve is the polygon itself, so the result always stays clear.
+     */
+    splinePath(points) {
+        if (points.length < 3) return points;
+        const pinned = points.map((p, i) => i === 0 || i === points.length - 1);
+        
+        for (;;) {
+            const ctrl = [];
+            const owner = [];      // index into points of each control point
+            points.forEach((p, i) => {
+                for (let k = pinned[i] ? 3 : 1; k > 0; k--) {
+                    ctrl.push(p);
+                    owner.push(i);
+                }
+            });
+            
+            const curve = [{ x: ctrl[0].x, y: ctrl[0].y }];
+            let blocked = false;
+            let progress = false;
+            for (let s = 0; s + 3 < ctrl.length; s++) {
+                let hit = false;
+                for (let k = 1; k <= PathPlanner.SPLINE_SAMPLES; k++) {
+                    const p = PathPlanner.bSpline(ctrl, s, k / PathPlanner.SPLINE_SAMPLES);
+                    if (!hit && this.lineCollides(curve[curve.length - 1], p)) hit = true;
+                    curve.push(p);
+                }
+                if (!hit) continue;
+                
+                blocked = true;
+                for (let k = s; k <= s + 3; k++) {
+                    if (!pinned[owner[k]]) progress = pinned[owner[k]] = true;
+                }
+            }
+            
+            if (!blocked) return curve;
+            if (!progress) return points;   // sampling disagrees with the polygon check; keep the polygon
+        }
+    }
+    
+    /**
+     * Point on the uniform cubic B-spline span starting at control point s.
+     * @param {number} t - Position along the span, 0–1
+     */
+    static bSpline(ctrl, s, t) {
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const b0 = (1 - t) * (1 - t) * (1 - t) / 6;
+        const b1 = (3 * t3 - 6 * t2 + 4) / 6;
+        const b2 = (-3 * t3 + 3 * t2 + 3 * t + 1) / 6;
+        const b3 = t3 / 6;
+        return {
+            x: b0 * ctrl[s].x + b1 * ctrl[s + 1].x + b2 * ctrl[s + 2].x + b3 * ctrl[s + 3].x,
+            y: b0 * ctrl[s].y + b1 * ctrl[s + 1].y + b2 * ctrl[s + 2].y + b3 * ctrl[s + 3].y
+        };
+    }
+    
+    /** Euclidean length of a polyline, in cells */
+    static pathLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+        return length;
+    }
+    
     // ==================== UTILITIES ====================
     
     delay(ms) {
@@ -608,11 +1553,14 @@ class PathPlanner {
         this.isRunning = false;
         this.isPaused = false;
         this.path = [];
+        this.smoothedPath = null;
         this.visited.clear();
         this.frontier.clear();
         this.rrtTree = null;
+        if (this.roadmap) this.roadmap.expanded.clear();
         this.updateNodes(0);
-        this.updatePathLength('-');
+        this.updateRate(0, 0);
+        this.updatePathLength([], null);
         this.updateStatus('Ready');
         this.updateUI();
         this.draw();
@@ -620,8 +1568,7 @@ class PathPlanner {
     
     reset() {
         this.clearPath();
-        this.start = { x: 2, y: 12 };
-        this.goal = { x: 22, y: 12 };
+        this.setDefaultEndpoints();
         this.initGrid();
         this.draw();
     }
@@ -648,103 +1595,89 @@ class PathPlanner {
         if (el) el.textContent = count;
     }
     
-    updatePathLength(length) {
+    /** Expansions per second of search time, '-' before any */
+    updateRate(expansions, ms) {
+        const el = this.container.querySelector('.expansion-rate');
+        if (!el) return;
+        if (!expansions || !ms) {
+            el.textContent = '-';
+            return;
+        }
+        
+        const rate = expansions / (ms / 1000);
+        if (rate >= 1e6) el.textContent = (rate / 1e6).toFixed(1) + 'M/s';
+        else if (rate >= 1e3) el.textContent = (rate / 1e3).toFixed(1) + 'k/s';
+        else el.textContent = Math.round(rate) + '/s';
+    }
+    
+    /** Raw and post-processed path lengths in cells, '-' when absent */
+    updatePathLength(path, smoothed) {
+        const format = points => (points && points.length ? PathPlanner.pathLength(points).toFixed(1) : '-');
         const el = this.container.querySelector('.path-length');
-        if (el) el.textContent = length;
+        if (el) el.textContent = format(path);
+        const smoothedEl = this.container.querySelector('.smoothed-length');
+        if (smoothedEl) smoothedEl.textContent = format(smoothed);
     }
     
     // ==================== DRAWING ====================
     
     draw() {
-        if (!this.ctx || !this.canvasSize) return;
+        if (!this.ctx || !this.canvasWidth) return;
         
         const ctx = this.ctx;
-        const size = this.canvasSize;
+        const width = this.canvasWidth;
+        const height = this.canvasHeight;
         
         // Clear
         ctx.fillStyle = '#0a0a0f';
-        ctx.fillRect(0, 0, size, size);
+        ctx.fillRect(0, 0, width, height);
         
-        // Grid lines
-        ctx.strokeStyle = this.colors.gridLine;
-        ctx.lineWidth = 1;
-        for (let i = 0; i <= this.gridSize; i++) {
-            const pos = i * this.cellSize;
-            ctx.beginPath();
-            ctx.moveTo(pos, 0);
-            ctx.lineTo(pos, size);
-            ctx.stroke();
-            ctx.beginPath();
-            ctx.moveTo(0, pos);
-            ctx.lineTo(size, pos);
-            ctx.stroke();
+        // Explored cells under the cached grid lines and obstacles
+        if (this.visited.size || this.frontier.size) {
+            this.paintSearchLayer();
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(this.searchLayer, 0, 0, width, height);
+            ctx.imageSmoothingEnabled = true;
         }
+        if (this.staticDirty) this.paintStaticLayer();
+        ctx.drawImage(this.staticLayer, 0, 0, width, height);
         
-        // RRT tree
-        if (this.rrtTree && this.currentAlgorithm === 'rrt') {
+        // Sampling trees
+        if (this.rrtTree) {
             ctx.strokeStyle = this.colors.rrtTree;
             ctx.lineWidth = 1.5;
+            ctx.beginPath();
             for (const node of this.rrtTree) {
                 if (node.parent) {
-                    ctx.beginPath();
                     ctx.moveTo((node.parent.x + 0.5) * this.cellSize, (node.parent.y + 0.5) * this.cellSize);
                     ctx.lineTo((node.x + 0.5) * this.cellSize, (node.y + 0.5) * this.cellSize);
-                    ctx.stroke();
                 }
             }
+            ctx.stroke();
         }
         
-        // Visited cells
-        ctx.fillStyle = this.colors.visited;
-        this.visited.forEach(key => {
-            const [x, y] = key.split(',').map(Number);
-            ctx.fillRect(x * this.cellSize + 1, y * this.cellSize + 1, this.cellSize - 2, this.cellSize - 2);
-        });
+        if (this.roadmap && this.currentAlgorithm === 'prm') this.drawRoadmap();
         
-        // Frontier cells
-        ctx.fillStyle = this.colors.frontier;
-        this.frontier.forEach(key => {
-            const [x, y] = key.split(',').map(Number);
-            ctx.fillRect(x * this.cellSize + 1, y * this.cellSize + 1, this.cellSize - 2, this.cellSize - 2);
-        });
-        
-        // Obstacles
-        for (let y = 0; y < this.gridSize; y++) {
-            for (let x = 0; x < this.gridSize; x++) {
-                if (this.grid[y][x] === 1) {
-                    ctx.fillStyle = this.colors.obstacle;
-                    ctx.fillRect(x * this.cellSize + 1, y * this.cellSize + 1, this.cellSize - 2, this.cellSize - 2);
-                    ctx.strokeStyle = 'rgba(0, 240, 255, 0.15)';
-                    ctx.lineWidth = 1;
-                    ctx.strokeRect(x * this.cellSize + 1, y * this.cellSize + 1, this.cellSize - 2, this.cellSize - 2);
-                }
-            }
+        // Path, with the raw planner output dashed underneath once post-processed
+        const pathWidth = Math.max(this.cellSize * 0.3, 2);
+        if (this.smoothedPath) {
+            ctx.setLineDash([6, 4]);
+            this.strokePath(this.path, this.colors.rawPath, pathWidth / 2, 0);
+            ctx.setLineDash([]);
+            this.strokePath(this.smoothedPath, this.colors.path, pathWidth, 10);
+        } else {
+            this.strokePath(this.path, this.colors.path, pathWidth, 10);
         }
         
-        // Path
-        if (this.path.length > 1) {
-            ctx.strokeStyle = this.colors.path;
-            ctx.lineWidth = this.cellSize * 0.3;
-            ctx.lineCap = 'round';
-            ctx.lineJoin = 'round';
-            ctx.shadowColor = this.colors.path;
-            ctx.shadowBlur = 10;
-            
-            ctx.beginPath();
-            ctx.moveTo((this.path[0].x + 0.5) * this.cellSize, (this.path[0].y + 0.5) * this.cellSize);
-            for (let i = 1; i < this.path.length; i++) {
-                ctx.lineTo((this.path[i].x + 0.5) * this.cellSize, (this.path[i].y + 0.5) * this.cellSize);
-            }
-            ctx.stroke();
-            ctx.shadowBlur = 0;
-        }
+        // Markers keep a readable size on fine grids
+        const marker = Math.max(this.cellSize, 10);
         
         // Start point
         ctx.fillStyle = this.colors.start;
         ctx.shadowColor = this.colors.start;
         ctx.shadowBlur = 12;
         ctx.beginPath();
-        ctx.arc((this.start.x + 0.5) * this.cellSize, (this.start.y + 0.5) * this.cellSize, this.cellSize * 0.35, 0, Math.PI * 2);
+        ctx.arc((this.start.x + 0.5) * this.cellSize, (this.start.y + 0.5) * this.cellSize, marker * 0.35, 0, Math.PI * 2);
         ctx.fill();
         
         // Goal point (star)
@@ -752,8 +1685,8 @@ class PathPlanner {
         ctx.shadowColor = this.colors.goal;
         const gx = (this.goal.x + 0.5) * this.cellSize;
         const gy = (this.goal.y + 0.5) * this.cellSize;
-        const or = this.cellSize * 0.4;
-        const ir = this.cellSize * 0.2;
+        const or = marker * 0.4;
+        const ir = marker * 0.2;
         
         ctx.beginPath();
         for (let i = 0; i < 5; i++) {
@@ -767,8 +1700,161 @@ class PathPlanner {
         ctx.fill();
         ctx.shadowBlur = 0;
     }
+    
+    /** Stroke a polyline through cell centers */
+    strokePath(points, color, width, glow) {
+        if (points.length < 2) return;
+        const ctx = this.ctx;
+        const cs = this.cellSize;
+        
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.shadowColor = color;
+        ctx.shadowBlur = glow;
+        
+        ctx.beginPath();
+        ctx.moveTo((points[0].x + 0.5) * cs, (points[0].y + 0.5) * cs);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo((points[i].x + 0.5) * cs, (points[i].y + 0.5) * cs);
+        }
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+    }
+    
+    /** PRM edges and nodes, with the nodes the last query expanded highlighted */
+    drawRoadmap() {
+        const ctx = this.ctx;
+        const cs = this.cellSize;
+        const { nodes, edges, expanded } = this.roadmap;
+        
+        ctx.strokeStyle = this.colors.roadmap;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (const [i, j] of edges) {
+            ctx.moveTo((nodes[i].x + 0.5) * cs, (nodes[i].y + 0.5) * cs);
+            ctx.lineTo((nodes[j].x + 0.5) * cs, (nodes[j].y + 0.5) * cs);
+        }
+        ctx.stroke();
+        
+        const r = Math.max(cs * 0.12, 1.5);
+        ctx.fillStyle = this.colors.rrtTree;
+        ctx.beginPath();
+        nodes.forEach((node, i) => {
+            if (expanded.has(i)) return;
+            ctx.moveTo((node.x + 0.5) * cs + r, (node.y + 0.5) * cs);
+            ctx.arc((node.x + 0.5) * cs, (node.y + 0.5) * cs, r, 0, Math.PI * 2);
+        });
+        ctx.fill();
+        
+        ctx.fillStyle = this.colors.frontier;
+        ctx.beginPath();
+        for (const i of expanded) {
+            ctx.moveTo((nodes[i].x + 0.5) * cs + r * 1.5, (nodes[i].y + 0.5) * cs);
+            ctx.arc((nodes[i].x + 0.5) * cs, (nodes[i].y + 0.5) * cs, r * 1.5, 0, Math.PI * 2);
+        }
+        ctx.fill();
+    }
+    
+    /** Grid lines and obstacles, redrawn only when the map or canvas changes */
+    paintStaticLayer() {
+        const ctx = this.staticLayer.getContext('2d');
+        const cs = this.cellSize;
+        const width = this.canvasWidth;
+        const height = this.canvasHeight;
+        ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        
+        // Grid lines, left out once cells are too small to tell apart
+        if (cs >= 4) {
+            ctx.strokeStyle = this.colors.gridLine;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            for (let x = 0; x <= this.cols; x++) {
+                ctx.moveTo(x * cs, 0);
+                ctx.lineTo(x * cs, height);
+            }
+            for (let y = 0; y <= this.rows; y++) {
+                ctx.moveTo(0, y * cs);
+                ctx.lineTo(width, y * cs);
+            }
+            ctx.stroke();
+        }
+        
+        // Obstacles: inset and outlined on coarse grids, tinted solid on fine ones
+        const inset = cs >= 6 ? 1 : 0;
+        const edge = 'rgba(0, 240, 255, 0.15)';
+        ctx.lineWidth = 1;
+        for (let y = 0; y < this.rows; y++) {
+            for (let x = 0; x < this.cols; x++) {
+                if (this.grid[y][x] !== 1) continue;
+                const px = x * cs + inset;
+                const py = y * cs + inset;
+                const size = cs - 2 * inset;
+                ctx.fillStyle = this.colors.obstacle;
+                ctx.fillRect(px, py, size, size);
+                if (inset) {
+                    ctx.strokeStyle = edge;
+                    ctx.strokeRect(px, py, size, size);
+                } else {
+                    ctx.fillStyle = edge;
+                    ctx.fillRect(px, py, size, size);
+                }
+            }
+        }
+        
+        this.staticDirty = false;
+    }
+    
+    /** Visited and frontier cells, one pixel per cell, frontier on top */
+    paintSearchLayer() {
+        const ctx = this.searchLayer.getContext('2d');
+        if (!this.searchPixels) this.searchPixels = ctx.createImageData(this.cols, this.rows);
+        const data = this.searchPixels.data;
+        data.fill(0);
+        
+        const paint = (cells, color) => {
+            const [r, g, b, a] = PathPlanner.parseColor(color);
+            cells.forEach(index => {
+                const i = index * 4;
+                data[i] = r;
+                data[i + 1] = g;
+                data[i + 2] = b;
+                data[i + 3] = a;
+            });
+        };
+        paint(this.visited, this.colors.visited);
+        paint(this.frontier, this.colors.frontier);
+        ctx.putImageData(this.searchPixels, 0, 0);
+    }
+    
+    /**
+     * Bytes of a '#rrggbb' or 'rgb(a)(…)' color, for writing pixels directly.
+     * @returns {number[]} [r, g, b, a] in 0–255
+     */
+    static parseColor(color) {
+        if (color[0] === '#') {
+            const n = parseInt(color.slice(1), 16);
+            return [n >> 16, (n >> 8) & 255, n & 255, 255];
+        }
+        const [r, g, b, a = 1] = color.match(/[\d.]+/g).map(Number);
+        return [r, g, b, Math.round(a * 255)];
+    }
 }
 
+// 8-connected moves, diagonals included
+PathPlanner.DIRECTIONS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+// Algorithms that show the sampling controls
+PathPlanner.SAMPLING = ['rrt', 'rrtstar', 'rrtconnect', 'prm'];
+
+// Most roadmap edges per PRM sample
+PathPlanner.PRM_NEIGHBORS = 10;
+
+// Curve points per B-spline span
+PathPlanner.SPLINE_SAMPLES = 8;
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     const container = document.getElementById('pathPlannerContainer');
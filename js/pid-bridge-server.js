@@ -0,0 +1,285 @@
+/**
+ * Local plant server for the PID demo's WebSocket bridge (pid-bridge.js)
+ * Simulates a plant in real time with the same core as the browser, so the
+ * bridge can be tried without hardware. Node only, no dependencies:
+ *
+ *   node js/pid-bridge-server.js [--port 8765] [--plant ballBeam] [--rate 100]
+ *
+ * then connect the demo to ws://localhost:8765. Each client gets its own
+ * plant. Driven clients command it directly; mirrored ones get a local PID
+ * loop that follows their setpoint and gains. Both the JSON protocol and
+ * rosbridge publish/subscribe messages on the default topics are understood.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { PIDSimulation, PID_PLANTS } = require('./pid-node.js');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const TOPICS = {
+    measurement: '/pid_demo/measurement',
+    control: '/pid_demo/control',
+    setpoint: '/pid_demo/setpoint',
+    gains: '/pid_demo/gains'
+};
+
+function parseArgs(argv) {
+    const options = { port: 8765, plant: 'ballBeam', rate: 100 };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        if (!(key in options)) throw new Error(`Unknown option ${argv[i]}`);
+        options[key] = key === 'plant' ? argv[i + 1] : Number(argv[i + 1]);
+    }
+    if (!Object.prototype.hasOwnProperty.call(PID_PLANTS, options.plant)) throw new Error(`Unknown plant ${options.plant}`);
+    return options;
+}
+
+/**
+ * Minimal RFC 6455 framing: unfragmented text frames, ping and close.
+ * Calls onMessage(text) for every complete text frame.
+ */
+class FrameReader {
+    constructor(socket, onMessage) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.buffer = Buffer.alloc(0);
+    }
+    
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        for (;;) {
+            const frame = this.nextFrame();
+            if (!frame) return;
+            if (frame.opcode === 0x1) this.onMessage(frame.payload.toString('utf8'));
+            else if (frame.opcode === 0x8) this.socket.end(encodeFrame(Buffer.alloc(0), 0x8));
+            else if (frame.opcode === 0x9) this.socket.write(encodeFrame(frame.payload, 0xA));
+        }
+    }
+    
+    /** Cut one frame off the buffer, or null until it has fully arrived */
+    nextFrame() {
+        const b = this.buffer;
+        if (b.length < 2) return null;
+        
+        const opcode = b[0] & 0x0f;
+        const masked = (b[1] & 0x80) !== 0;
+        let length = b[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (b.length < 4) return null;
+            length = b.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (b.length < 10) return null;
+            length = Number(b.readBigUInt64BE(2));
+            offset = 10;
+        }
+        
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (b.length < offset + length) return null;
+        
+        const payload = Buffer.from(b.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= b[maskOffset + (i % 4)];
+        }
+        this.buffer = b.subarray(offset + length);
+        return { opcode, payload };
+    }
+}
+
+/** Server-to-client frames are never masked */
+function encodeFrame(payload, opcode = 0x1) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/** One connected demo and the plant it talks to */
+class PlantSession {
+    constructor(socket, options) {
+        this.socket = socket;
+        this.options = options;
+        this.mode = 'drive';
+        this.rosbridge = false;
+        this.subscribed = new Set();   // rosbridge topics the client wants
+        this.remoteSetpoint = null;
+        this.createSim(options.plant);
+        
+        this.lastTick = Date.now();
+        this.pending = 0;      // wall time not yet simulated, under one physics step
+        this.sendTimer = 0;
+        this.interval = setInterval(() => this.tick(), 5);
+    }
+    
+    createSim(plant) {
+        this.sim = new PIDSimulation({ plant });
+        this.sim.setpointSource = () => (this.remoteSetpoint === null ? this.sim.plant.center : this.remoteSetpoint);
+        this.setMode(this.mode);
+    }
+    
+    /** Driven plants take the client's output as a manual command; mirrored ones run their own PID */
+    setMode(mode) {
+        this.mode = mode === 'mirror' ? 'mirror' : 'drive';
+        this.sim.setController(this.mode === 'drive' ? 'manual' : 'pid');
+    }
+    
+    handleMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            return;
+        }
+        if (!message || typeof message !== 'object') return;
+        if (message.op) this.handleRosbridge(message);
+        else this.handleJSON(message);
+    }
+    
+    handleJSON(message) {
+        const sim = this.sim;
+        switch (message.type) {
+            case 'hello':
+                if (Object.prototype.hasOwnProperty.call(PID_PLANTS, message.plant) && message.plant !== sim.plantType) {
+                    this.createSim(message.plant);
+                }
+                this.setMode(message.mode);
+                if (message.samplePeriod > 0) this.sim.setSamplePeriod(message.samplePeriod);
+                console.log(`Client ${this.mode === 'drive' ? 'driving' : 'mirroring'} ${this.sim.plant.name}`);
+                break;
+            case 'control':
+                if (Number.isFinite(message.output)) sim.manualInput = message.output;
+                if (Number.isFinite(message.setpoint)) this.remoteSetpoint = message.setpoint;
+                break;
+            case 'setpoint':
+                if (Number.isFinite(message.setpoint)) this.remoteSetpoint = message.setpoint;
+                break;
+            case 'gains':
+                if ([message.kP, message.kI, message.kD].every(Number.isFinite)) {
+                    sim.pid.setGains(message.kP, message.kI, message.kD);
+                }
+                break;
+        }
+    }
+    
+    /**
+     * rosbridge v2. A client advertising the control topic drives the plant;
+     * one subscribing to it mirrors the local loop.
+     */
+    handleRosbridge(message) {
+        this.rosbridge = true;
+        const data = message.msg && message.msg.data;
+        switch (message.op) {
+            case 'subscribe':
+                this.subscribed.add(message.topic);
+                if (message.topic === TOPICS.control) this.setMode('mirror');
+                break;
+            case 'advertise':
+                if (message.topic === TOPICS.control) this.setMode('drive');
+                break;
+            case 'publish':
+                if (message.topic === TOPICS.control && Number.isFinite(data)) this.sim.manualInput = data;
+                else if (message.topic === TOPICS.setpoint && Number.isFinite(data)) this.remoteSetpoint = data;
+                else if (message.topic === TOPICS.gains && Array.isArray(data) && data.length === 3 && data.every(Number.isFinite)) {
+                    this.sim.pid.setGains(...data);
+                }
+                break;
+        }
+    }
+    
+    /** Advance the plant in real time and stream measurements at the set rate */
+    tick() {
+        const now = Date.now();
+        const elapsed = Math.min((now - this.lastTick) / 1000, 0.1);
+        this.lastTick = now;
+        
+        // Whole physics steps only; the remainder carries to the next tick
+        this.pending += elapsed;
+        while (this.pending >= this.sim.dt) {
+            this.sim.step();
+            this.pending -= this.sim.dt;
+        }
+        this.sendTimer += elapsed;
+        if (this.sendTimer < 1 / this.options.rate) return;
+        this.sendTimer = 0;
+        
+        const sim = this.sim;
+        if (!this.rosbridge) {
+            this.send({
+                type: 'measurement',
+                t: sim.time,
+                position: sim.plant.position,
+                velocity: sim.plant.velocity,
+                output: sim.output
+            });
+            return;
+        }
+        if (this.subscribed.has(TOPICS.measurement)) this.publish(TOPICS.measurement, sim.plant.position);
+        if (this.mode === 'mirror' && this.subscribed.has(TOPICS.control)) this.publish(TOPICS.control, sim.output);
+    }
+    
+    send(message) {
+        if (!this.socket.destroyed) this.socket.write(encodeFrame(Buffer.from(JSON.stringify(message))));
+    }
+    
+    publish(topic, data) {
+        this.send({ op: 'publish', topic, msg: { data } });
+    }
+    
+    close() {
+        clearInterval(this.interval);
+    }
+}
+
+function start(options) {
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('PID demo plant server: connect with a WebSocket\n');
+    });
+    
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        
+        const session = new PlantSession(socket, options);
+        const reader = new FrameReader(socket, text => session.handleMessage(text));
+        socket.on('data', chunk => reader.push(chunk));
+        socket.on('close', () => session.close());
+        socket.on('error', () => session.close());
+    });
+    
+    server.listen(options.port, () => {
+        console.log(`Plant server on ws://localhost:${options.port} (${options.plant}, ${options.rate} Hz)`);
+    });
+    return server;
+}
+
+if (require.main === module) {
+    start(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = { start };
@@ -0,0 +1,242 @@
+/**
+ * WebSocket bridge between the PID demo and a plant outside the browser
+ * (a rig, a ROS node or js/pid-bridge-server.js). Two modes:
+ *
+ *   drive  - the demo's controller runs the remote plant: measurements come
+ *            in, control outputs go out
+ *   mirror - the remote plant runs its own controller; the demo shows its
+ *            measurements and outputs, and sends the setpoint and gains
+ *
+ * JSON protocol, one object per text message. Positions are in the plant's
+ * units (see PID_PLANTS), outputs normalized to [-1, 1], times in seconds.
+ *
+ *   demo → plant
+ *     { "type": "hello", "client": "pid-demo", "mode": "drive", "plant": "ballBeam", "samplePeriod": 0.0167 }
+ *     { "type": "control", "t": 12.3, "output": 0.42, "setpoint": 0.5, "error": 0.1 }    every sample, drive
+ *     { "type": "setpoint", "t": 12.3, "setpoint": 0.5 }                                  every sample, mirror
+ *     { "type": "gains", "kP": 2, "kI": 0.1, "kD": 1.5 }                                  on connect and on change
+ *
+ *   plant → demo
+ *     { "type": "measurement", "t": 12.3, "position": 0.48, "velocity": 0.1, "output": 0.4 }
+ *     { "type": "gains", "kP": 2, "kI": 0.1, "kD": 1.5 }                                  mirror: the plant's own gains
+ *
+ * velocity is optional (differenced from positions when missing) and output
+ * is only read in mirror mode.
+ *
+ * rosbridge protocol (v2) uses the same data on topics:
+ *   measurement  std_msgs/Float64             position, subscribed
+ *   control      std_msgs/Float64             output, published in drive, subscribed in mirror
+ *   setpoint     std_msgs/Float64             published
+ *   gains        std_msgs/Float64MultiArray   [kP, kI, kD], published
+ */
+
+class PlantBridge {
+    /**
+     * @param {PIDSimulation} sim - Simulation whose plant is bridged
+     */
+    constructor(sim) {
+        this.sim = sim;
+        this.mode = 'drive';       // 'drive' or 'mirror'
+        this.protocol = 'json';    // 'json' or 'rosbridge'
+        this.topics = { ...PlantBridge.TOPICS };
+        
+        this.socket = null;
+        this.latest = null;        // last measurement { t, position, velocity }
+        this.remoteOutput = 0;     // the remote controller's output, mirror mode
+        this.received = 0;         // measurements since connecting
+        this.sentGains = null;     // gains the remote side last heard about
+        
+        // Hooks: onStatus(text) on connection changes, onGains() when the
+        // remote plant reports its gains
+        this.onStatus = null;
+        this.onGains = null;
+    }
+    
+    get isConnected() {
+        return !!this.socket && this.socket.readyState === 1;
+    }
+    
+    /**
+     * Open the connection. The simulated plant is pinned to the incoming
+     * measurements until disconnect().
+     * @param {string} url - e.g. ws://localhost:8765
+     * @param {Function} [WebSocketImpl] - WebSocket class, for Node clients
+     */
+    connect(url, WebSocketImpl = WebSocket) {
+        this.disconnect();
+        this.latest = null;
+        this.remoteOutput = 0;
+        this.received = 0;
+        this.sentGains = null;
+        
+        let socket;
+        try {
+            socket = new WebSocketImpl(url);
+        } catch (e) {
+            this.setStatus(`Bad address: ${e.message}`);
+            return;
+        }
+        this.socket = socket;
+        this.setStatus(`Connecting to ${url}…`);
+        
+        socket.onopen = () => {
+            this.subscribe();
+            this.sendGains();
+            this.setStatus('Connected — waiting for measurements');
+        };
+        socket.onmessage = (e) => this.handleMessage(e.data);
+        socket.onerror = () => this.setStatus(`Could not reach ${url}`);
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.detach();
+            this.setStatus(this.received ? 'Connection closed' : `Could not reach ${url}`);
+        };
+        
+        if (this.mode === 'mirror') {
+            this.sim.outputSource = () => this.remoteOutput;
+        }
+    }
+    
+    disconnect() {
+        if (!this.socket) return;
+        const socket = this.socket;
+        this.detach();
+        socket.close();
+        this.setStatus('Disconnected');
+    }
+    
+    /** Hand the plant back to the local physics */
+    detach() {
+        this.socket = null;
+        this.sim.outputSource = null;
+        this.sim.release(0);
+    }
+    
+    /** Announce the client (JSON) or advertise and subscribe to the topics (rosbridge) */
+    subscribe() {
+        if (this.protocol === 'json') {
+            this.send({
+                type: 'hello',
+                client: 'pid-demo',
+                mode: this.mode,
+                plant: this.sim.plantType,
+                samplePeriod: this.sim.controlPeriod
+            });
+            return;
+        }
+        
+        const t = this.topics;
+        const float = 'std_msgs/Float64';
+        this.send({ op: 'subscribe', topic: t.measurement, type: float });
+        if (this.mode === 'drive') this.send({ op: 'advertise', topic: t.control, type: float });
+        else this.send({ op: 'subscribe', topic: t.control, type: float });
+        this.send({ op: 'advertise', topic: t.setpoint, type: float });
+        this.send({ op: 'advertise', topic: t.gains, type: 'std_msgs/Float64MultiArray' });
+    }
+    
+    send(message) {
+        if (this.isConnected) this.socket.send(JSON.stringify(message));
+    }
+    
+    publish(topic, msg) {
+        this.send({ op: 'publish', topic, msg });
+    }
+    
+    /**
+     * Send this controller sample: the output in drive mode, the setpoint
+     * in mirror mode, and the gains whenever they changed.
+     */
+    sample() {
+        if (!this.isConnected) return;
+        const sim = this.sim;
+        const { kP, kI, kD } = sim.pid;
+        const gains = this.sentGains;
+        if (!gains || gains.kP !== kP || gains.kI !== kI || gains.kD !== kD) this.sendGains();
+        
+        if (this.protocol === 'rosbridge') {
+            if (this.mode === 'drive') this.publish(this.topics.control, { data: sim.output });
+            this.publish(this.topics.setpoint, { data: sim.setpoint });
+        } else if (this.mode === 'drive') {
+            this.send({ type: 'control', t: sim.time, output: sim.output, setpoint: sim.setpoint, error: sim.error });
+        } else {
+            this.send({ type: 'setpoint', t: sim.time, setpoint: sim.setpoint });
+        }
+    }
+    
+    sendGains() {
+        const { kP, kI, kD } = this.sim.pid;
+        this.sentGains = { kP, kI, kD };
+        if (this.protocol === 'rosbridge') {
+            this.publish(this.topics.gains, { data: [kP, kI, kD] });
+        } else {
+            this.send({ type: 'gains', kP, kI, kD });
+        }
+    }
+    
+    /** Parse one incoming message; malformed ones are ignored */
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            return;
+        }
+        if (!message || typeof message !== 'object') return;
+        
+        if (this.protocol === 'rosbridge') {
+            if (message.op !== 'publish' || !message.msg) return;
+            if (message.topic === this.topics.measurement) {
+                this.measure({ position: message.msg.data });
+            } else if (message.topic === this.topics.control) {
+                this.setRemoteOutput(message.msg.data);
+            }
+            return;
+        }
+        
+        if (message.type === 'measurement') {
+            this.measure(message);
+            this.setRemoteOutput(message.output);
+        } else if (message.type === 'gains' && this.mode === 'mirror') {
+            const { kP, kI, kD } = message;
+            if (![kP, kI, kD].every(Number.isFinite)) return;
+            this.sim.pid.setGains(kP, kI, kD);
+            this.sentGains = { kP, kI, kD };
+            if (this.onGains) this.onGains();
+        }
+    }
+    
+    /**
+     * Pin the plant at a measurement. A missing velocity is differenced from
+     * the last position, over the sender's clock if it sends one.
+     * @param {{t?: number, position: number, velocity?: number}} m
+     */
+    measure(m) {
+        const position = m.position;
+        if (!Number.isFinite(position)) return;
+        
+        const last = this.latest;
+        const t = Number.isFinite(m.t) ? m.t : this.sim.time;
+        let velocity = m.velocity;
+        if (!Number.isFinite(velocity)) velocity = last && t > last.t ? (position - last.position) / (t - last.t) : 0;
+        
+        this.latest = { t, position, velocity };
+        this.sim.hold(position, velocity);
+        if (++this.received === 1) this.setStatus(`Connected — ${this.mode === 'drive' ? 'driving' : 'mirroring'} the remote plant`);
+    }
+    
+    setRemoteOutput(output) {
+        if (Number.isFinite(output)) this.remoteOutput = Math.max(-1, Math.min(1, output));
+    }
+    
+    setStatus(text) {
+        if (this.onStatus) this.onStatus(text);
+    }
+}
+
+// Default rosbridge topics
+PlantBridge.TOPICS = {
+    measurement: '/pid_demo/measurement',
+    control: '/pid_demo/control',
+    setpoint: '/pid_demo/setpoint',
+    gains: '/pid_demo/gains'
+};
@@ -0,0 +1,131 @@
+/**
+ * Setpoint-tracking challenge for the PID demo
+ * A fixed target sequence every controller (or person) is scored on, so
+ * runs can be compared, and a small leaderboard kept in localStorage.
+ */
+
+class TrackingChallenge {
+    constructor() {
+        this.duration = 20;        // seconds
+        this.waypoints = [         // normalized targets, each held from its time on
+            { t: 0, target: 0 },
+            { t: 2, target: 0.6 },
+            { t: 6, target: -0.5 },
+            { t: 10, target: 0.2 },
+            { t: 14, target: -0.7 },
+            { t: 17, target: 0 }
+        ];
+        this.isRunning = false;
+        this.reset(0);
+    }
+    
+    reset(t) {
+        this.startTime = t;
+        this.elapsed = 0;
+        this.iae = 0;
+        this.ise = 0;
+        this.itae = 0;
+        this.maxError = 0;
+    }
+    
+    start(t) {
+        this.reset(t);
+        this.isRunning = true;
+    }
+    
+    stop() {
+        this.isRunning = false;
+    }
+    
+    get remaining() {
+        return Math.max(0, this.duration - this.elapsed);
+    }
+    
+    /** Target on [-1, 1] at time t */
+    targetAt(t) {
+        let target = 0;
+        for (const wp of this.waypoints) {
+            if (wp.t > t - this.startTime) break;
+            target = wp.target;
+        }
+        return target;
+    }
+    
+    /**
+     * Score one controller sample. Errors are normalized to the plant's
+     * setpoint half-range so scores on different plants read alike.
+     * @param {number} t - Time in seconds
+     * @param {number} error - Setpoint minus position, plant units
+     * @param {number} halfRange - Plant setpoint half-range
+     * @param {number} ts - Sample period in seconds
+     * @returns {boolean} true once the challenge is over
+     */
+    sample(t, error, halfRange, ts) {
+        if (!this.isRunning) return false;
+        
+        this.elapsed = t - this.startTime;
+        const e = Math.abs(error) / halfRange;
+        this.iae += e * ts;
+        this.ise += e * e * ts;
+        this.itae += this.elapsed * e * ts;
+        this.maxError = Math.max(this.maxError, e);
+        
+        if (this.elapsed >= this.duration) this.isRunning = false;
+        return !this.isRunning;
+    }
+    
+    get result() {
+        return { iae: this.iae, ise: this.ise, itae: this.itae, maxError: this.maxError };
+    }
+}
+
+/** Best challenge results per plant, lowest IAE first */
+class Leaderboard {
+    constructor(storageKey = 'pidDemo.leaderboard', size = 10) {
+        this.storageKey = storageKey;
+        this.size = size;
+        this.entries = this.load();
+    }
+    
+    load() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(entries) ? entries : [];
+        } catch (e) {
+            return [];   // storage disabled or unreadable
+        }
+    }
+    
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (e) {
+            // Private mode or quota: the board just doesn't persist
+        }
+    }
+    
+    /**
+     * Add a result and keep the best `size` per plant.
+     * @param {Object} entry - { name, controller, plant, iae, ise, itae, date }
+     * @returns {number} 1-based rank on the plant's board, 0 if it didn't place
+     */
+    add(entry) {
+        const board = this.forPlant(entry.plant);
+        board.push(entry);
+        board.sort((a, b) => a.iae - b.iae);
+        const kept = board.slice(0, this.size);
+        
+        this.entries = this.entries.filter(e => e.plant !== entry.plant).concat(kept);
+        this.save();
+        return kept.indexOf(entry) + 1;
+    }
+    
+    forPlant(plant) {
+        return this.entries.filter(e => e.plant === plant).sort((a, b) => a.iae - b.iae);
+    }
+    
+    clear(plant) {
+        this.entries = this.entries.filter(e => e.plant !== plant);
+        this.save();
+    }
+}
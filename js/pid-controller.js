@@ -0,0 +1,146 @@
+/**
+ * PID control law for the PID demo
+ * Gains, anti-windup and derivative settings plus the integrator and
+ * derivative state of one loop. Output is normalized to [-1, 1].
+ */
+
+class PIDController {
+    constructor(kP = 2.0, kI = 0.1, kD = 1.5) {
+        // Gains
+        this.kP = kP;
+        this.kI = kI;
+        this.kD = kD;
+        
+        // Settings
+        this.integralLimit = 0.5;      // error-seconds
+        this.antiWindup = 'clamp';     // 'clamp', 'backcalc', 'conditional', 'none'
+        this.trackingGain = 5;         // back-calculation tracking gain Kt, 1/s
+        this.derivativeMode = 'error'; // 'error', 'measurement', 'filtered'
+        this.derivativeFilterN = 20;   // filter coefficient N, rad/s
+        
+        this.reset();
+    }
+    
+    reset() {
+        this.integral = 0;
+        this.lastError = 0;
+        this.lastMeasurement = 0;
+        this.dTerm = 0;    // last D contribution (filter state)
+        this.pTerm = 0;    // last P and I contributions, for display
+        this.iTerm = 0;
+    }
+    
+    setGains(kP, kI, kD) {
+        this.kP = kP;
+        this.kI = kI;
+        this.kD = kD;
+        this.integral = 0;
+    }
+    
+    /**
+     * Restart the derivative from the current sample, so switching modes
+     * does not produce a spike.
+     */
+    restartDerivative(error, measurement) {
+        this.dTerm = 0;
+        this.lastError = error;
+        this.lastMeasurement = measurement;
+    }
+    
+    /** Take over the anti-windup and derivative settings of another loop */
+    copySettings(other) {
+        this.integralLimit = other.integralLimit;
+        this.antiWindup = other.antiWindup;
+        this.trackingGain = other.trackingGain;
+        this.derivativeMode = other.derivativeMode;
+        this.derivativeFilterN = other.derivativeFilterN;
+    }
+    
+    /**
+     * One controller sample. Integral and derivative use the sample period,
+     * so gains are in real units (1/s for kI, s for kD).
+     * @param {number} setpoint - Target
+     * @param {number} measurement - Measured (or estimated) output
+     * @param {number} ts - Sample period in seconds
+     * @returns {{error: number, output: number}}
+     */
+    compute(setpoint, measurement, ts) {
+        const error = setpoint - measurement;
+        
+        // Proportional
+        const P = this.kP * error;
+        
+        // Derivative
+        const D = this.computeDerivative(error, measurement, ts);
+        this.lastError = error;
+        this.lastMeasurement = measurement;
+        
+        // Integral (with the selected anti-windup strategy)
+        this.integrate(error, ts, P + D);
+        const I = this.kI * this.integral;
+        
+        this.pTerm = P;
+        this.iTerm = I;
+        
+        const unsaturated = P + I + D;
+        const output = Math.max(-1, Math.min(1, unsaturated));
+        
+        // Back-calculation bleeds the integrator by the saturation excess
+        if (this.antiWindup === 'backcalc' && this.kI > 0) {
+            this.integral += this.trackingGain * (output - unsaturated) / this.kI * ts;
+        }
+        
+        return { error, output };
+    }
+    
+    /**
+     * Advance the integrator state for one sample.
+     * 'clamp' bounds the state to integralLimit; 'conditional' skips
+     * integration while the output is saturated and the error would push it
+     * further; 'backcalc' is corrected after saturation in compute;
+     * 'none' integrates freely so windup is visible.
+     * @param {number} error - Current error
+     * @param {number} ts - Sample period in seconds
+     * @param {number} pd - P + D contribution of this sample
+     */
+    integrate(error, ts, pd) {
+        if (this.antiWindup === 'conditional') {
+            const candidate = pd + this.kI * (this.integral + error * ts);
+            if (Math.abs(candidate) > 1 && Math.sign(candidate) === Math.sign(error)) return;
+        }
+        
+        this.integral += error * ts;
+        
+        if (this.antiWindup === 'clamp') {
+            this.integral = Math.max(-this.integralLimit, Math.min(this.integralLimit, this.integral));
+        }
+    }
+    
+    /**
+     * Derivative contribution for the current sample.
+     * 'error' differentiates the error and kicks on setpoint steps;
+     * 'measurement' differentiates -measurement, which is kick-free;
+     * 'filtered' is derivative on measurement through kD*N*s/(s+N).
+     * @param {number} error - Current error
+     * @param {number} measurement - Current measurement
+     * @param {number} ts - Sample period in seconds
+     * @returns {number}
+     */
+    computeDerivative(error, measurement, ts) {
+        switch (this.derivativeMode) {
+            case 'measurement':
+                this.dTerm = -this.kD * (measurement - this.lastMeasurement) / ts;
+                break;
+            case 'filtered': {
+                // Backward-Euler discretization of the first-order filter
+                const N = this.derivativeFilterN;
+                const delta = -(measurement - this.lastMeasurement);
+                this.dTerm = (this.dTerm + this.kD * N * delta) / (1 + N * ts);
+                break;
+            }
+            default:
+                this.dTerm = this.kD * (error - this.lastError) / ts;
+        }
+        return this.dTerm;
+    }
+}
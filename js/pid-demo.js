@@ -1,6 +1,7 @@
 /**
  * Interactive PID Ball Balancing Demo
  * Demonstrates PID control concepts visually
+ * UI, setpoint profiles and drawing on top of PIDSimulation (pid-sim.js)
  * For robotics portfolio - showcasing control systems expertise
  */
 
@@ -12,41 +13,51 @@ class PIDDemo {
             return;
         }
         
-        // Physics
-        this.ballPos = 0;          // -1 to 1, center is 0
-        this.ballVel = 0;
-        this.beamAngle = 0;        // radians
-        this.gravity = 0.0015;
-        this.friction = 0.995;
-        this.maxAngle = Math.PI / 6; // 30 degrees max tilt
-        
-        // Setpoint (target position)
-        this.setpoint = 0;
-        this.setpointMode = 'center'; // 'center', 'left', 'right', 'sine'
-        
-        // PID gains
-        this.kP = 2.0;
-        this.kI = 0.1;
-        this.kD = 1.5;
-        
-        // PID state
-        this.integral = 0;
-        this.lastError = 0;
-        this.integralLimit = 0.5;
+        // Real time is consumed in the simulation's fixed steps
+        this.accumulator = 0;
+        this.lastFrameTime = null;
+        this.maxFrameTime = 0.1;   // cap per frame so a throttled tab doesn't spiral
+        
+        // Setpoint profile
+        this.setpointMode = 'center'; // 'center', 'left', 'right', 'sine', 'square', 'ramp',
+                                      // 'trapezoid', 'chirp', 'random', 'sequence', 'custom'
+        this.profileAmplitude = 0.5;  // normalized to the setpoint range
+        this.profilePeriod = 5;       // seconds
+        this.profileStart = 0;        // time the current profile started
+        this.randomTarget = 0;
+        this.randomNext = 0;
+        this.sequenceText = '0:0, 2:0.6, 5:-0.6, 8:0.2, 11:0';
+        this.sequence = PIDDemo.parseSequence(this.sequenceText);
+        this.customSetpoint = 0;      // set by clicking the plant
         
         // Animation
         this.animationFrame = null;
-        this.time = 0;
         this.isRunning = true;
         
-        // History for graph
-        this.historyLength = 200;
-        this.positionHistory = [];
-        this.setpointHistory = [];
-        this.errorHistory = [];
+        // Settling band for the displayed step-response metrics
+        this.settlingBand = 0.02;
+        
+        // Run recording and replay (see pid-recorder.js)
+        this.recorder = new RunRecorder();
+        this.replay = null;        // { frames, meta, start } while a recording plays
+        this.replayFrame = null;   // recorded sample at the current time
         
-        // Disturbance
-        this.disturbance = 0;
+        // Gain sweep heatmap (see pid-sweep.js)
+        this.sweep = new GainSweep();
+        this.sweepKI = false;      // sweep kI as well as kP and kD
+        this.sweepSize = { width: 320, height: 260 };
+        
+        // Manual control and the tracking challenge (see pid-challenge.js)
+        this.heldKeys = new Set(); // arrow keys currently down
+        this.keyBoost = false;     // Shift held for full deflection
+        this.wheelTrim = 0;        // persistent offset from the mouse wheel
+        this.challenge = new TrackingChallenge();
+        this.leaderboard = new Leaderboard();
+        
+        // Dragging the plant by hand
+        this.drag = null;          // { samples } while held
+        this.lastRelease = null;   // state at the last release, for Repeat
+        this.suppressClick = false; // a grab is not a click-to-target
         
         // Colors
         this.colors = {
@@ -57,11 +68,53 @@ class PIDDemo {
             pivot: '#00ff88',
             setpoint: '#ff00a0',
             error: '#ff6b6b',
+            dTerm: '#ffbd2e',
+            integral: '#a78bfa',
+            measured: '#ff6b6b',
+            estimate: '#00ff88',
+            replay: '#9ca3af',
+            pTerm: '#ff8c42',
+            output: '#f5f5f5',
+            sample: '#fde047',
+            angle: '#84cc16',
+            compare: '#ffa94d',
+            compareGlow: 'rgba(255, 169, 77, 0.5)',
             graphLine: '#00f0ff',
             graphSetpoint: '#ff00a0',
             graphBg: 'rgba(10, 10, 20, 0.8)'
         };
         
+        // Scope channels; measured, estimate and replay are null when unused.
+        // Controller-side values are held between samples and drawn as stairs
+        this.scope = new Scope([
+            { key: 'position', label: 'Position', color: this.colors.graphLine },
+            { key: 'setpoint', label: 'Target', color: this.colors.setpoint },
+            { key: 'compare', label: 'Position B', color: this.colors.compare },
+            { key: 'measured', label: 'Measured', color: this.colors.measured, stairs: true },
+            { key: 'estimate', label: 'Estimate', color: this.colors.estimate, stairs: true },
+            { key: 'replay', label: 'Replay', color: this.colors.replay, dashed: true },
+            { key: 'sampled', label: 'Samples', color: this.colors.sample, enabled: false, dots: true },
+            { key: 'error', label: 'Error', color: this.colors.error, enabled: false, stairs: true },
+            { key: 'p', label: 'P', color: this.colors.pTerm, enabled: false, stairs: true },
+            { key: 'i', label: 'I', color: this.colors.integral, enabled: false, stairs: true },
+            { key: 'd', label: 'D', color: this.colors.dTerm, enabled: false, stairs: true },
+            { key: 'output', label: 'Output', color: this.colors.output, stairs: true },
+            { key: 'angle', label: 'Angle', color: this.colors.angle, enabled: false }
+        ]);
+        this.scopePeriod = 1 / 60; // scope rate between controller samples
+        
+        // Plant, controllers and stepping (see pid-sim.js)
+        this.sim = new PIDSimulation({ colors: this.colors });
+        this.sim.setpointSource = () => this.getSetpoint();
+        this.sim.onSample = (error, output) => this.handleSample(error, output);
+        this.sim.onStep = () => this.handleStep();
+        this.sim.onTune = () => this.updateTuneStatus();
+        
+        // Optional link to a plant outside the browser (see pid-bridge.js)
+        this.bridge = new PlantBridge(this.sim);
+        this.bridge.onStatus = (text) => this.setBridgeStatus(text);
+        this.bridge.onGains = () => this.syncGainSliders();
+        
         this.init();
     }
     
@@ -69,7 +122,9 @@ class PIDDemo {
         this.createUI();
         this.setupCanvas();
         this.setupEventListeners();
-        this.animate();
+        this.renderStateSpaceFields();
+        this.renderLeaderboard();
+        this.animate(performance.now());
         console.log('PIDDemo initialized successfully');
     }
     
@@ -80,7 +135,7 @@ class PIDDemo {
                     <canvas class="pid-canvas"></canvas>
                     <div class="pid-stats">
                         <div class="pid-stat">
-                            <span class="stat-label">Position</span>
+                            <span class="stat-label position-label">Position</span>
                             <span class="stat-value position-value">0.00</span>
                         </div>
                         <div class="pid-stat">
@@ -92,15 +147,58 @@ class PIDDemo {
                             <span class="stat-value output-value">0.00</span>
                         </div>
                     </div>
+                    <div class="pid-stats pid-metrics">
+                        <div class="pid-stat">
+                            <span class="stat-label">Rise</span>
+                            <span class="stat-value rise-value">—</span>
+                        </div>
+                        <div class="pid-stat">
+                            <span class="stat-label">Overshoot</span>
+                            <span class="stat-value overshoot-value">—</span>
+                        </div>
+                        <div class="pid-stat">
+                            <span class="stat-label">Settle <span class="band-value">2%</span></span>
+                            <span class="stat-value settle-value">—</span>
+                        </div>
+                        <div class="pid-stat">
+                            <span class="stat-label">SS error</span>
+                            <span class="stat-value sse-value">—</span>
+                        </div>
+                        <div class="pid-stat">
+                            <span class="stat-label">IAE</span>
+                            <span class="stat-value iae-value">—</span>
+                        </div>
+                        <div class="pid-stat">
+                            <span class="stat-label">ISE</span>
+                            <span class="stat-value ise-value">—</span>
+                        </div>
+                        <div class="pid-stat">
+                            <span class="stat-label">ITAE</span>
+                            <span class="stat-value itae-value">—</span>
+                        </div>
+                    </div>
                 </div>
                 <div class="pid-controls">
+                    <div class="pid-options pid-scope">
+                        <div class="option-group scope-channels">
+                            <span class="action-label">Scope:</span>
+                            ${this.scope.channels.map(c => `
+                            <button class="mode-btn channel-btn${c.enabled ? ' active' : ''}" data-channel="${c.key}" style="--channel-color: ${c.color}">${c.label}</button>`).join('')}
+                        </div>
+                        <div class="option-group">
+                            <button class="mode-btn scope-zoom-btn" data-zoom="1.25" title="Zoom out">−</button>
+                            <span class="slider-value scope-span-value">4.0 s</span>
+                            <button class="mode-btn scope-zoom-btn" data-zoom="0.8" title="Zoom in">+</button>
+                            <button class="mode-btn scope-pause-btn">❚❚ Pause</button>
+                        </div>
+                    </div>
                     <div class="pid-sliders">
                         <div class="slider-group">
                             <div class="slider-header">
                                 <label>P <span class="gain-label">(Proportional)</span></label>
                                 <span class="slider-value kp-value">2.0</span>
                             </div>
-                            <input type="range" class="pid-slider kp-slider" min="0" max="5" step="0.1" value="2.0">
+                            <input type="range" class="pid-slider kp-slider" min="0" max="5" data-max="5" step="0.01" value="2.0">
                             <div class="slider-hint">Reacts to current error</div>
                         </div>
                         <div class="slider-group">
@@ -108,7 +206,7 @@ class PIDDemo {
                                 <label>I <span class="gain-label">(Integral)</span></label>
                                 <span class="slider-value ki-value">0.1</span>
                             </div>
-                            <input type="range" class="pid-slider ki-slider" min="0" max="1" step="0.01" value="0.1">
+                            <input type="range" class="pid-slider ki-slider" min="0" max="1" data-max="1" step="0.001" value="0.1">
                             <div class="slider-hint">Eliminates steady-state error</div>
                         </div>
                         <div class="slider-group">
@@ -116,10 +214,95 @@ class PIDDemo {
                                 <label>D <span class="gain-label">(Derivative)</span></label>
                                 <span class="slider-value kd-value">1.5</span>
                             </div>
-                            <input type="range" class="pid-slider kd-slider" min="0" max="5" step="0.1" value="1.5">
+                            <input type="range" class="pid-slider kd-slider" min="0" max="5" data-max="5" step="0.01" value="1.5">
                             <div class="slider-hint">Dampens oscillations</div>
                         </div>
                     </div>
+                    <div class="pid-options pid-actuator">
+                        <span class="action-label">Servo:</span>
+                        <div class="option-group">
+                            <span class="action-label">Max angle</span>
+                            <input type="range" class="pid-slider option-slider act-angle-slider" min="5" max="45" step="1" value="30">
+                            <span class="slider-value act-angle-value">30°</span>
+                        </div>
+                        <div class="option-group">
+                            <span class="action-label">Max rate</span>
+                            <input type="range" class="pid-slider option-slider act-rate-slider" min="10" max="600" step="10" value="600">
+                            <span class="slider-value act-rate-value">600°/s</span>
+                        </div>
+                        <div class="option-group">
+                            <span class="action-label">Deadband</span>
+                            <input type="range" class="pid-slider option-slider act-deadband-slider" min="0" max="20" step="1" value="0">
+                            <span class="slider-value act-deadband-value">0%</span>
+                        </div>
+                        <div class="option-group">
+                            <span class="action-label">Backlash</span>
+                            <input type="range" class="pid-slider option-slider act-backlash-slider" min="0" max="5" step="0.25" value="0">
+                            <span class="slider-value act-backlash-value">0°</span>
+                        </div>
+                        <div class="option-group">
+                            <span class="action-label">Time const.</span>
+                            <input type="range" class="pid-slider option-slider act-tau-slider" min="0.01" max="0.5" step="0.01" value="0.16">
+                            <span class="slider-value act-tau-value">0.16 s</span>
+                        </div>
+                    </div>
+                    <div class="pid-options pid-physics">
+                        <span class="action-label">Physics:</span>
+                        <div class="option-group">
+                            <span class="action-label">Ball mass</span>
+                            <input type="range" class="pid-slider option-slider phys-mass-slider" min="10" max="500" step="5" value="50">
+                            <span class="slider-value phys-mass-value">50 g</span>
+                        </div>
+                        <div class="option-group">
+                            <span class="action-label">Radius</span>
+                            <input type="range" class="pid-slider option-slider phys-radius-slider" min="5" max="50" step="1" value="20">
+                            <span class="slider-value phys-radius-value">20 mm</span>
+                        </div>
+                        <div class="option-group inertia-modes">
+                            <span class="action-label">Ball:</span>
+                            <button class="mode-btn active" data-inertia="solid">Solid</button>
+                            <button class="mode-btn" data-inertia="hollow">Hollow</button>
+                        </div>
+                        <div class="option-group">
+                            <span class="action-label">Beam length</span>
+                            <input type="range" class="pid-slider option-slider phys-length-slider" min="20" max="200" step="5" value="60">
+                            <span class="slider-value phys-length-value">60 cm</span>
+                        </div>
+                        <div class="option-group">
+                            <span class="action-label">Viscous</span>
+                            <input type="range" class="pid-slider option-slider phys-viscous-slider" min="0" max="0.2" step="0.005" value="0.02">
+                            <span class="slider-value phys-viscous-value">0.020 N·s/m</span>
+                        </div>
+                        <div class="option-group">
+                            <span class="action-label">Coulomb μ</span>
+                            <input type="range" class="pid-slider option-slider phys-coulomb-slider" min="0" max="0.1" step="0.005" value="0">
+                            <span class="slider-value phys-coulomb-value">0.000</span>
+                        </div>
+                        <div class="option-group">
+                            <span class="action-label">Gravity</span>
+                            <input type="range" class="pid-slider option-slider phys-gravity-slider" min="1" max="25" step="0.01" value="9.81">
+                            <span class="slider-value phys-gravity-value">9.81 m/s²</span>
+                        </div>
+                    </div>
+                    <div class="pid-options pid-statespace">
+                        <div class="option-group controller-modes">
+                            <span class="action-label">Controller:</span>
+                            <button class="mode-btn active" data-controller="pid">PID</button>
+                            <button class="mode-btn" data-controller="lqr">LQR</button>
+                            <button class="mode-btn" data-controller="poles">Pole placement</button>
+                            <button class="mode-btn" data-controller="manual">Manual</button>
+                        </div>
+                        <div class="option-group ss-panel lqr-panel is-hidden">
+                            <span class="action-label">Q diag</span>
+                            <span class="lqr-weights"></span>
+                            <label class="ss-field">R <input type="number" class="ss-input lqr-r" min="0.001" step="0.1"></label>
+                        </div>
+                        <div class="option-group ss-panel poles-panel is-hidden">
+                            <span class="action-label">Poles</span>
+                            <input type="text" class="ss-input ss-poles" spellcheck="false">
+                        </div>
+                        <span class="ss-gain is-hidden"></span>
+                    </div>
                     <div class="pid-actions">
                         <div class="setpoint-buttons">
                             <span class="action-label">Target:</span>
@@ -127,18 +310,209 @@ class PIDDemo {
                             <button class="setpoint-btn active" data-pos="center">Center</button>
                             <button class="setpoint-btn" data-pos="right">Right →</button>
                             <button class="setpoint-btn" data-pos="sine">~ Wave</button>
+                            <button class="setpoint-btn" data-pos="square">⊓ Square</button>
+                            <button class="setpoint-btn" data-pos="ramp">⋀ Ramp</button>
+                            <button class="setpoint-btn" data-pos="trapezoid">⏢ Trapezoid</button>
+                            <button class="setpoint-btn" data-pos="chirp">∿ Chirp</button>
+                            <button class="setpoint-btn" data-pos="random">⚄ Random</button>
+                            <button class="setpoint-btn" data-pos="sequence">⋯ Sequence</button>
                         </div>
                         <div class="control-buttons">
                             <button class="pid-btn disturb-btn">
                                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z"/></svg>
                                 <span>Disturb!</span>
                             </button>
+                            <button class="pid-btn repeat-btn" disabled title="Put the plant back where the last drag released it">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17 1l4 4-4 4"/><path d="M3 11V9a4 4 0 014-4h14"/><path d="M7 23l-4-4 4-4"/><path d="M21 13v2a4 4 0 01-4 4H3"/></svg>
+                                <span>Repeat drag</span>
+                            </button>
                             <button class="pid-btn reset-btn">
                                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M1 4v6h6M23 20v-6h-6"/><path d="M20.49 9A9 9 0 005.64 5.64L1 10m22 4l-4.64 4.36A9 9 0 013.51 15"/></svg>
                                 <span>Reset</span>
                             </button>
                         </div>
                     </div>
+                    <div class="pid-options pid-compare">
+                        <div class="option-group">
+                            <span class="action-label">A/B:</span>
+                            <button class="mode-btn compare-btn">Compare with B</button>
+                        </div>
+                        <div class="option-group compare-gains is-hidden">
+                            <span class="action-label">B gains P</span>
+                            <input type="range" class="pid-slider option-slider compare-slider" data-gain="kP" min="0" max="5" data-max="5" step="0.01" value="2">
+                            <span class="slider-value compare-kP-value">2.0</span>
+                            <span class="action-label">I</span>
+                            <input type="range" class="pid-slider option-slider compare-slider" data-gain="kI" min="0" max="1" data-max="1" step="0.001" value="0.1">
+                            <span class="slider-value compare-kI-value">0.10</span>
+                            <span class="action-label">D</span>
+                            <input type="range" class="pid-slider option-slider compare-slider" data-gain="kD" min="0" max="5" data-max="5" step="0.01" value="1.5">
+                            <span class="slider-value compare-kD-value">1.5</span>
+                            <button class="mode-btn compare-copy-btn" title="Copy A's gains to B">A → B</button>
+                        </div>
+                        <span class="autotune-status compare-status">Run a second loop with its own gains</span>
+                    </div>
+                    <div class="pid-options pid-profile">
+                        <div class="option-group">
+                            <span class="action-label">Amplitude</span>
+                            <input type="range" class="pid-slider option-slider amplitude-slider" min="0.1" max="1" step="0.05" value="0.5">
+                            <span class="slider-value amplitude-value">0.50</span>
+                        </div>
+                        <div class="option-group">
+                            <span class="action-label">Period</span>
+                            <input type="range" class="pid-slider option-slider period-slider" min="1" max="20" step="0.5" value="5">
+                            <span class="slider-value period-value">5.0 s</span>
+                        </div>
+                        <div class="option-group sequence-group is-hidden">
+                            <span class="action-label">Waypoints (s:target)</span>
+                            <input type="text" class="ss-input sequence-input" spellcheck="false">
+                        </div>
+                        <span class="profile-hint">Click to set a target, drag or flick the plant to disturb it</span>
+                    </div>
+                    <div class="pid-options">
+                        <div class="option-group plant-modes">
+                            <span class="action-label">Plant:</span>
+                            <button class="mode-btn active" data-plant="ballBeam">Ball &amp; beam</button>
+                            <button class="mode-btn" data-plant="cartPole">Cart-pole</button>
+                            <button class="mode-btn" data-plant="dcMotor">DC motor</button>
+                            <button class="mode-btn" data-plant="massSpring">Mass-spring-damper</button>
+                        </div>
+                        <div class="option-group derivative-modes">
+                            <span class="action-label">D term:</span>
+                            <button class="mode-btn active" data-mode="error">On error</button>
+                            <button class="mode-btn" data-mode="measurement">On measurement</button>
+                            <button class="mode-btn" data-mode="filtered">Filtered</button>
+                        </div>
+                        <div class="option-group filter-group">
+                            <span class="action-label">Filter N</span>
+                            <input type="range" class="pid-slider option-slider filter-n-slider" min="2" max="100" step="1" value="20">
+                            <span class="slider-value filter-n-value">20</span>
+                        </div>
+                        <div class="option-group windup-modes">
+                            <span class="action-label">Anti-windup:</span>
+                            <button class="mode-btn active" data-mode="clamp">Clamp</button>
+                            <button class="mode-btn" data-mode="backcalc">Back-calc</button>
+                            <button class="mode-btn" data-mode="conditional">Conditional</button>
+                            <button class="mode-btn" data-mode="none">None</button>
+                        </div>
+                        <div class="option-group tracking-group">
+                            <span class="action-label">Tracking Kt</span>
+                            <input type="range" class="pid-slider option-slider tracking-slider" min="0.5" max="20" step="0.5" value="5">
+                            <span class="slider-value tracking-value">5.0</span>
+                        </div>
+                        <div class="option-group band-modes">
+                            <span class="action-label">Settling band:</span>
+                            <button class="mode-btn active" data-band="0.02">2%</button>
+                            <button class="mode-btn" data-band="0.05">5%</button>
+                        </div>
+                    </div>
+                    <div class="pid-options pid-sensor">
+                        <div class="option-group">
+                            <span class="action-label">Sample period</span>
+                            <input type="range" class="pid-slider option-slider ts-slider" min="1" max="96" step="1" value="4" title="Controller sample period in physics steps">
+                            <span class="slider-value ts-value">16.7 ms</span>
+                        </div>
+                        <div class="option-group">
+                            <span class="action-label">Noise σ</span>
+                            <input type="range" class="pid-slider option-slider noise-slider" min="0" max="10" step="0.5" value="0">
+                            <span class="slider-value noise-value">0%</span>
+                        </div>
+                        <div class="option-group">
+                            <span class="action-label">Quantization</span>
+                            <input type="range" class="pid-slider option-slider quant-slider" min="0" max="10" step="0.5" value="0">
+                            <span class="slider-value quant-value">0%</span>
+                        </div>
+                        <div class="option-group">
+                            <span class="action-label">Delay</span>
+                            <input type="range" class="pid-slider option-slider delay-slider" min="0" max="20" step="1" value="0">
+                            <span class="slider-value delay-value">0</span>
+                        </div>
+                        <div class="option-group estimator-modes">
+                            <span class="action-label">Estimator:</span>
+                            <button class="mode-btn active" data-estimator="none">None</button>
+                            <button class="mode-btn" data-estimator="movingAverage">Moving avg</button>
+                            <button class="mode-btn" data-estimator="lowPass">Low-pass</button>
+                            <button class="mode-btn" data-estimator="kalman">Kalman</button>
+                        </div>
+                    </div>
+                    <div class="pid-presets pid-autotune">
+                        <span class="preset-label">Auto-tune:</span>
+                        <button class="preset-btn rule-btn" data-rule="zn">Ziegler–Nichols</button>
+                        <button class="preset-btn rule-btn active" data-rule="tyreusLuyben">Tyreus–Luyben</button>
+                        <button class="preset-btn rule-btn" data-rule="someOvershoot">Z–N some OS</button>
+                        <button class="preset-btn rule-btn" data-rule="noOvershoot">Z–N no OS</button>
+                        <button class="pid-btn autotune-btn">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M2 12h4l3-8 6 16 3-8h4"/></svg>
+                            <span>Run relay test</span>
+                        </button>
+                        <span class="autotune-status">Relay experiment measures Ku and Tu</span>
+                    </div>
+                    <div class="pid-options pid-challenge">
+                        <div class="option-group">
+                            <span class="action-label">Challenge:</span>
+                            <input type="text" class="ss-input player-name" maxlength="16" placeholder="Your name" spellcheck="false">
+                            <button class="pid-btn challenge-btn">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 22V4"/><path d="M4 4h12l-2 4 2 4H4"/></svg>
+                                <span>Start challenge</span>
+                            </button>
+                        </div>
+                        <span class="autotune-status challenge-status">Pick Manual and steer with ← → (Shift for more), the mouse wheel or a gamepad</span>
+                        <ol class="leaderboard"></ol>
+                    </div>
+                    <div class="pid-options pid-sweep">
+                        <div class="option-group sweep-metrics">
+                            <span class="action-label">Sweep kP × kD by</span>
+                            <button class="mode-btn active" data-metric="ise">ISE</button>
+                            <button class="mode-btn" data-metric="iae">IAE</button>
+                            <button class="mode-btn" data-metric="overshoot">Overshoot</button>
+                            <button class="mode-btn" data-metric="settlingTime">Settling</button>
+                        </div>
+                        <div class="option-group sweep-ki-modes">
+                            <span class="action-label">kI:</span>
+                            <button class="mode-btn active" data-ki="fixed">Fixed</button>
+                            <button class="mode-btn" data-ki="swept">Swept</button>
+                        </div>
+                        <button class="pid-btn sweep-btn">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="7" height="7"/><rect x="14" y="3" width="7" height="7"/><rect x="3" y="14" width="7" height="7"/><rect x="14" y="14" width="7" height="7"/></svg>
+                            <span>Run sweep</span>
+                        </button>
+                        <div class="sweep-view is-hidden">
+                            <canvas class="sweep-canvas"></canvas>
+                            <div class="option-group sweep-slices"></div>
+                        </div>
+                        <span class="autotune-status sweep-status">One step response per cell; dark cells do not settle</span>
+                    </div>
+                    <div class="pid-options pid-bridge">
+                        <div class="option-group">
+                            <span class="action-label">Bridge:</span>
+                            <input type="text" class="ss-input bridge-url" value="ws://localhost:8765" spellcheck="false">
+                        </div>
+                        <div class="option-group bridge-modes">
+                            <button class="mode-btn active" data-bridge="drive">Drive</button>
+                            <button class="mode-btn" data-bridge="mirror">Mirror</button>
+                        </div>
+                        <div class="option-group bridge-protocols">
+                            <button class="mode-btn active" data-protocol="json">JSON</button>
+                            <button class="mode-btn" data-protocol="rosbridge">rosbridge</button>
+                        </div>
+                        <button class="pid-btn bridge-btn">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10 14a5 5 0 0 0 7 0l3-3a5 5 0 0 0-7-7l-1 1"/><path d="M14 10a5 5 0 0 0-7 0l-3 3a5 5 0 0 0 7 7l1-1"/></svg>
+                            <span>Connect</span>
+                        </button>
+                        <span class="autotune-status bridge-status">Drive or mirror an external plant; try node js/pid-bridge-server.js</span>
+                    </div>
+                    <div class="pid-presets pid-record">
+                        <span class="preset-label">Recording:</span>
+                        <button class="pid-btn record-btn">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="6"/></svg>
+                            <span>Record</span>
+                        </button>
+                        <button class="preset-btn export-btn" data-format="csv">Export CSV</button>
+                        <button class="preset-btn export-btn" data-format="json">Export JSON</button>
+                        <button class="preset-btn load-btn">Load &amp; replay</button>
+                        <button class="preset-btn replay-stop-btn">Stop replay</button>
+                        <input type="file" class="record-file" accept=".csv,.json,text/csv,application/json" hidden>
+                        <span class="autotune-status record-status">Record a run to export it or replay it later</span>
+                    </div>
                     <div class="pid-presets">
                         <span class="preset-label">Presets:</span>
                         <button class="preset-btn" data-p="3" data-i="0" data-d="0">P only</button>
@@ -156,6 +530,16 @@ class PIDDemo {
         this.canvas = this.container.querySelector('.pid-canvas');
         this.ctx = this.canvas.getContext('2d');
         this.resizeCanvas();
+        
+        // Heatmap keeps a fixed size
+        this.sweepCanvas = this.container.querySelector('.sweep-canvas');
+        this.sweepCtx = this.sweepCanvas.getContext('2d');
+        const dpr = window.devicePixelRatio || 1;
+        this.sweepCanvas.width = this.sweepSize.width * dpr;
+        this.sweepCanvas.height = this.sweepSize.height * dpr;
+        this.sweepCanvas.style.width = this.sweepSize.width + 'px';
+        this.sweepCanvas.style.height = this.sweepSize.height + 'px';
+        this.sweepCtx.scale(dpr, dpr);
     }
     
     resizeCanvas() {
@@ -164,7 +548,7 @@ class PIDDemo {
         const containerEl = this.canvas.parentElement;
         const rect = containerEl.getBoundingClientRect();
         const width = Math.min(rect.width - 20, 600);
-        const height = 280;
+        const height = 360;
         
         const dpr = window.devicePixelRatio || 1;
         this.canvas.width = width * dpr;
@@ -186,43 +570,292 @@ class PIDDemo {
         
         if (kpSlider) {
             kpSlider.addEventListener('input', (e) => {
-                this.kP = parseFloat(e.target.value);
-                this.container.querySelector('.kp-value').textContent = this.kP.toFixed(1);
+                this.sim.pid.kP = parseFloat(e.target.value);
+                this.container.querySelector('.kp-value').textContent = PIDDemo.formatGain(this.sim.pid.kP, 1);
             });
         }
         
         if (kiSlider) {
             kiSlider.addEventListener('input', (e) => {
-                this.kI = parseFloat(e.target.value);
-                this.container.querySelector('.ki-value').textContent = this.kI.toFixed(2);
-                this.integral = 0; // Reset integral when gain changes
+                this.sim.pid.kI = parseFloat(e.target.value);
+                this.container.querySelector('.ki-value').textContent = PIDDemo.formatGain(this.sim.pid.kI, 2);
+                this.sim.pid.integral = 0; // Reset integral when gain changes
             });
         }
         
         if (kdSlider) {
             kdSlider.addEventListener('input', (e) => {
-                this.kD = parseFloat(e.target.value);
-                this.container.querySelector('.kd-value').textContent = this.kD.toFixed(1);
+                this.sim.pid.kD = parseFloat(e.target.value);
+                this.container.querySelector('.kd-value').textContent = PIDDemo.formatGain(this.sim.pid.kD, 1);
             });
         }
         
         // Setpoint buttons
         this.container.querySelectorAll('.setpoint-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setSetpointMode(btn.dataset.pos));
+        });
+        
+        // Profile shape
+        const amplitudeSlider = this.container.querySelector('.amplitude-slider');
+        if (amplitudeSlider) {
+            amplitudeSlider.addEventListener('input', (e) => {
+                this.profileAmplitude = parseFloat(e.target.value);
+                this.container.querySelector('.amplitude-value').textContent = this.profileAmplitude.toFixed(2);
+            });
+        }
+        
+        const periodSlider = this.container.querySelector('.period-slider');
+        if (periodSlider) {
+            periodSlider.addEventListener('input', (e) => {
+                this.profilePeriod = parseFloat(e.target.value);
+                this.container.querySelector('.period-value').textContent = this.profilePeriod.toFixed(1) + ' s';
+            });
+        }
+        
+        const sequenceInput = this.container.querySelector('.sequence-input');
+        if (sequenceInput) {
+            sequenceInput.value = this.sequenceText;
+            sequenceInput.addEventListener('change', (e) => {
+                const sequence = PIDDemo.parseSequence(e.target.value);
+                sequenceInput.classList.toggle('is-invalid', !sequence);
+                if (!sequence) return;
+                this.sequenceText = e.target.value;
+                this.sequence = sequence;
+                this.profileStart = this.sim.time;
+            });
+        }
+        
+        // Click the plant to place the target there
+        this.canvas.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                return;
+            }
+            const { px, py } = this.canvasPoint(e);
+            if (!this.plantView || py > this.plantView.y + this.plantView.height) return;
+            
+            const n = this.sim.plant.setpointFromPoint(px, py, this.plantView);
+            if (n === null) return;
+            this.customSetpoint = Math.max(-1, Math.min(1, n));
+            this.setSetpointMode('custom');
+        });
+        
+        // Grab the plant to drag it, release to let go (with the flick speed)
+        this.canvas.addEventListener('pointerdown', (e) => this.startDrag(e));
+        this.canvas.addEventListener('pointermove', (e) => this.moveDrag(e));
+        this.canvas.addEventListener('pointerup', (e) => this.endDrag(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.endDrag(e));
+        
+        const repeatBtn = this.container.querySelector('.repeat-btn');
+        if (repeatBtn) {
+            repeatBtn.addEventListener('click', () => {
+                if (this.lastRelease) this.sim.place(this.lastRelease.position, this.lastRelease.velocity);
+            });
+        }
+        
+        // Plant selector
+        this.container.querySelectorAll('.plant-modes .mode-btn').forEach(btn => {
             btn.addEventListener('click', () => {
-                this.container.querySelectorAll('.setpoint-btn').forEach(b => b.classList.remove('active'));
+                this.container.querySelectorAll('.plant-modes .mode-btn').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
-                this.setpointMode = btn.dataset.pos;
-                this.integral = 0;
+                this.setPlant(btn.dataset.plant);
+            });
+        });
+        
+        // Servo actuator sliders (ball & beam only)
+        const actuatorSliders = [
+            ['.act-angle-slider', '.act-angle-value', (a, v) => { a.maxAngle = v * Math.PI / 180; }, v => v + '°'],
+            ['.act-rate-slider', '.act-rate-value', (a, v) => { a.maxRate = v * Math.PI / 180; }, v => v + '°/s'],
+            ['.act-deadband-slider', '.act-deadband-value', (a, v) => { a.deadband = v / 100; }, v => v + '%'],
+            ['.act-backlash-slider', '.act-backlash-value', (a, v) => { a.backlash = v * Math.PI / 180; }, v => v + '°'],
+            ['.act-tau-slider', '.act-tau-value', (a, v) => { a.timeConstant = v; }, v => v.toFixed(2) + ' s']
+        ];
+        actuatorSliders.forEach(([sliderSel, valueSel, apply, format]) => {
+            const slider = this.container.querySelector(sliderSel);
+            if (!slider) return;
+            slider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.container.querySelector(valueSel).textContent = format(value);
+                if (!this.sim.plant.actuator) return;
+                apply(this.sim.plant.actuator, value);
+                this.designStateSpace();
+            });
+        });
+        
+        // Physical parameters (ball & beam only)
+        const physicsSliders = [
+            ['.phys-mass-slider', '.phys-mass-value', (p, v) => { p.ballMass = v / 1000; }, v => v + ' g'],
+            ['.phys-radius-slider', '.phys-radius-value', (p, v) => { p.ballRadius = v / 1000; }, v => v + ' mm'],
+            ['.phys-length-slider', '.phys-length-value', (p, v) => { p.beamLength = v / 100; }, v => v + ' cm'],
+            ['.phys-viscous-slider', '.phys-viscous-value', (p, v) => { p.viscous = v; }, v => v.toFixed(3) + ' N·s/m'],
+            ['.phys-coulomb-slider', '.phys-coulomb-value', (p, v) => { p.coulomb = v; }, v => v.toFixed(3)],
+            ['.phys-gravity-slider', '.phys-gravity-value', (p, v) => { p.gravity = v; }, v => v.toFixed(2) + ' m/s²']
+        ];
+        physicsSliders.forEach(([sliderSel, valueSel, apply, format]) => {
+            const slider = this.container.querySelector(sliderSel);
+            if (!slider) return;
+            slider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.container.querySelector(valueSel).textContent = format(value);
+                if (!this.sim.plant.physicsKeys.length) return;
+                apply(this.sim.plant, value);
+                this.designStateSpace();
+            });
+        });
+        
+        this.container.querySelectorAll('.inertia-modes .mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.container.querySelectorAll('.inertia-modes .mode-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                if (!this.sim.plant.physicsKeys.length) return;
+                this.sim.plant.hollow = btn.dataset.inertia === 'hollow';
+                this.designStateSpace();
+            });
+        });
+        
+        // Controller selector and state-space design inputs
+        this.container.querySelectorAll('.controller-modes .mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setController(btn.dataset.controller));
+        });
+        
+        const rInput = this.container.querySelector('.lqr-r');
+        if (rInput) {
+            rInput.addEventListener('change', (e) => {
+                const r = parseFloat(e.target.value);
+                if (r > 0) this.sim.lqrR = r;
+                this.designStateSpace();
+            });
+        }
+        
+        const polesInput = this.container.querySelector('.ss-poles');
+        if (polesInput) {
+            polesInput.addEventListener('change', (e) => {
+                this.sim.poleText = e.target.value;
+                this.designStateSpace();
+            });
+        }
+        
+        // Sensor sliders (noise and quantization as % of the setpoint range)
+        const noiseSlider = this.container.querySelector('.noise-slider');
+        if (noiseSlider) {
+            noiseSlider.addEventListener('input', (e) => {
+                this.sim.noisePercent = parseFloat(e.target.value);
+                this.container.querySelector('.noise-value').textContent = this.sim.noisePercent + '%';
+                this.sim.configureSensor();
+            });
+        }
+        
+        const quantSlider = this.container.querySelector('.quant-slider');
+        if (quantSlider) {
+            quantSlider.addEventListener('input', (e) => {
+                this.sim.quantPercent = parseFloat(e.target.value);
+                this.container.querySelector('.quant-value').textContent = this.sim.quantPercent + '%';
+                this.sim.configureSensor();
+            });
+        }
+        
+        // Controller sample period, in whole physics steps so samples stay evenly spaced
+        const tsSlider = this.container.querySelector('.ts-slider');
+        if (tsSlider) {
+            tsSlider.addEventListener('input', (e) => {
+                const ts = parseInt(e.target.value, 10) * this.sim.dt;
+                this.setSamplePeriod(ts);
+                this.container.querySelector('.ts-value').textContent = (ts * 1000).toFixed(1) + ' ms';
+            });
+        }
+        
+        const delaySlider = this.container.querySelector('.delay-slider');
+        if (delaySlider) {
+            delaySlider.addEventListener('input', (e) => {
+                this.sim.sensor.delaySamples = parseInt(e.target.value, 10);
+                this.container.querySelector('.delay-value').textContent = this.sim.sensor.delaySamples;
+            });
+        }
+        
+        this.container.querySelectorAll('.estimator-modes .mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.container.querySelectorAll('.estimator-modes .mode-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.sim.estimator.type = btn.dataset.estimator;
+                this.sim.estimator.reset(this.sim.measured);
+            });
+        });
+        
+        // Derivative mode buttons
+        this.container.querySelectorAll('.derivative-modes .mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.container.querySelectorAll('.derivative-modes .mode-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.sim.pid.derivativeMode = btn.dataset.mode;
+                this.sim.pid.restartDerivative(this.sim.setpoint - this.sim.estimate, this.sim.estimate);
+            });
+        });
+        
+        const filterSlider = this.container.querySelector('.filter-n-slider');
+        if (filterSlider) {
+            filterSlider.addEventListener('input', (e) => {
+                this.sim.pid.derivativeFilterN = parseFloat(e.target.value);
+                this.container.querySelector('.filter-n-value').textContent = this.sim.pid.derivativeFilterN.toFixed(0);
+            });
+        }
+        
+        // Anti-windup strategy buttons
+        this.container.querySelectorAll('.windup-modes .mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.container.querySelectorAll('.windup-modes .mode-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.sim.pid.antiWindup = btn.dataset.mode;
+                this.sim.pid.integral = 0;
+            });
+        });
+        
+        const trackingSlider = this.container.querySelector('.tracking-slider');
+        if (trackingSlider) {
+            trackingSlider.addEventListener('input', (e) => {
+                this.sim.pid.trackingGain = parseFloat(e.target.value);
+                this.container.querySelector('.tracking-value').textContent = this.sim.pid.trackingGain.toFixed(1);
+            });
+        }
+        
+        // Settling band buttons
+        this.container.querySelectorAll('.band-modes .mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.container.querySelectorAll('.band-modes .mode-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.settlingBand = parseFloat(btn.dataset.band);
+                this.container.querySelector('.band-value').textContent = btn.textContent;
             });
         });
         
         // Disturb button
         const disturbBtn = this.container.querySelector('.disturb-btn');
         if (disturbBtn) {
-            disturbBtn.addEventListener('click', () => {
-                this.ballVel += (Math.random() - 0.5) * 0.1;
-                this.disturbance = (Math.random() - 0.5) * 0.3;
-                setTimeout(() => this.disturbance = 0, 500);
+            disturbBtn.addEventListener('click', () => this.sim.disturb());
+        }
+        
+        // A/B comparison
+        const compareBtn = this.container.querySelector('.compare-btn');
+        if (compareBtn) {
+            compareBtn.addEventListener('click', () => this.setComparison(!this.sim.comparison));
+        }
+        
+        this.container.querySelectorAll('.compare-slider').forEach(slider => {
+            slider.addEventListener('input', (e) => {
+                if (!this.sim.comparison) return;
+                const gain = slider.dataset.gain;
+                const pid = this.sim.comparison.pid;
+                pid[gain] = parseFloat(e.target.value);
+                pid.integral = 0;
+                this.container.querySelector(`.compare-${gain}-value`).textContent = PIDDemo.formatGain(pid[gain], gain === 'kI' ? 2 : 1);
+            });
+        });
+        
+        const compareCopyBtn = this.container.querySelector('.compare-copy-btn');
+        if (compareCopyBtn) {
+            compareCopyBtn.addEventListener('click', () => {
+                if (!this.sim.comparison) return;
+                this.sim.comparison.pid.setGains(this.sim.pid.kP, this.sim.pid.kI, this.sim.pid.kD);
+                this.updateComparisonSliders();
             });
         }
         
@@ -233,107 +866,1067 @@ class PIDDemo {
         }
         
         // Preset buttons
-        this.container.querySelectorAll('.preset-btn').forEach(btn => {
+        this.container.querySelectorAll('.preset-btn[data-p]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setGains(parseFloat(btn.dataset.p), parseFloat(btn.dataset.i), parseFloat(btn.dataset.d));
+            });
+        });
+        
+        // Auto-tune rule and relay test
+        this.container.querySelectorAll('.rule-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.container.querySelectorAll('.rule-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.sim.tuningRule = btn.dataset.rule;
+                if (this.sim.autoTuner.state === 'done') {
+                    this.sim.applyTuning();
+                    this.showTuning();
+                }
+            });
+        });
+        
+        const autotuneBtn = this.container.querySelector('.autotune-btn');
+        if (autotuneBtn) {
+            autotuneBtn.addEventListener('click', () => {
+                if (this.sim.autoTuner.isRunning) {
+                    this.sim.autoTuner.stop();
+                    this.setTuneStatus('Relay test stopped');
+                } else {
+                    this.startAutoTune();
+                }
+            });
+        }
+        
+        // Manual control: arrow keys act like a spring-centred stick, the
+        // wheel trims the command, Space levels it again
+        window.addEventListener('keydown', (e) => {
+            if (this.sim.controllerType !== 'manual' || e.target.tagName === 'INPUT') return;
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                this.heldKeys.add(e.key);
+                this.keyBoost = e.shiftKey;
+                e.preventDefault();
+            } else if (e.key === ' ') {
+                this.wheelTrim = 0;
+                e.preventDefault();
+            }
+        });
+        window.addEventListener('keyup', (e) => {
+            this.heldKeys.delete(e.key);
+            this.keyBoost = e.shiftKey;
+        });
+        window.addEventListener('blur', () => this.heldKeys.clear());
+        
+        window.addEventListener('gamepadconnected', (e) => {
+            this.setChallengeStatus(`Gamepad connected: ${e.gamepad.id}`);
+        });
+        
+        const challengeBtn = this.container.querySelector('.challenge-btn');
+        if (challengeBtn) {
+            challengeBtn.addEventListener('click', () => {
+                if (this.challenge.isRunning) this.abandonChallenge('Challenge stopped');
+                else this.startChallenge();
+            });
+        }
+        
+        // Gain sweep: metric, kI mode, run/stop, slices and the heatmap itself
+        this.container.querySelectorAll('.sweep-metrics .mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.container.querySelectorAll('.sweep-metrics .mode-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.sweep.metric = btn.dataset.metric;
+                if (!this.sweep.isRunning && this.sweep.hasResults) this.showSweepBest();
+            });
+        });
+        
+        this.container.querySelectorAll('.sweep-ki-modes .mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.container.querySelectorAll('.sweep-ki-modes .mode-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.sweepKI = btn.dataset.ki === 'swept';
+            });
+        });
+        
+        const sweepBtn = this.container.querySelector('.sweep-btn');
+        if (sweepBtn) {
+            sweepBtn.addEventListener('click', () => {
+                if (this.sweep.isRunning) {
+                    this.sweep.stop();
+                    this.setSweepStatus('Sweep stopped');
+                } else {
+                    this.startSweep();
+                }
+            });
+        }
+        
+        this.sweepCanvas.addEventListener('mousemove', (e) => {
+            const rect = this.sweepCanvas.getBoundingClientRect();
+            const cell = this.sweep.cellAt(e.clientX - rect.left, e.clientY - rect.top);
+            if (cell === this.sweep.hover) return;
+            this.sweep.hover = cell;
+            if (cell && cell.metrics) this.setSweepStatus(this.describeSweepCell(cell));
+        });
+        this.sweepCanvas.addEventListener('mouseleave', () => {
+            this.sweep.hover = null;
+            if (!this.sweep.isRunning && this.sweep.hasResults) this.showSweepBest();
+        });
+        
+        this.sweepCanvas.addEventListener('click', (e) => {
+            const rect = this.sweepCanvas.getBoundingClientRect();
+            const cell = this.sweep.cellAt(e.clientX - rect.left, e.clientY - rect.top);
+            if (!cell || !cell.metrics) return;
+            if (this.sim.controllerType !== 'pid') this.setController('pid');
+            this.setGains(cell.kP, cell.kI, cell.kD);
+            this.setSweepStatus(`Loaded ${this.describeSweepCell(cell)}`);
+        });
+        
+        // WebSocket bridge; switching mode or protocol reconnects
+        const bridgeBtn = this.container.querySelector('.bridge-btn');
+        if (bridgeBtn) {
+            bridgeBtn.addEventListener('click', () => {
+                if (this.bridge.socket) this.bridge.disconnect();
+                else this.connectBridge();
+            });
+        }
+        
+        [['.bridge-modes', 'bridge', 'mode'], ['.bridge-protocols', 'protocol', 'protocol']].forEach(([group, attr, key]) => {
+            this.container.querySelectorAll(`${group} .mode-btn`).forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.container.querySelectorAll(`${group} .mode-btn`).forEach(b => b.classList.remove('active'));
+                    btn.classList.add('active');
+                    this.bridge[key] = btn.dataset[attr];
+                    if (this.bridge.socket) this.connectBridge();
+                });
+            });
+        });
+        
+        // Scope channels, zoom, pause and hover cursor
+        this.container.querySelectorAll('.channel-btn').forEach(btn => {
             btn.addEventListener('click', () => {
-                this.kP = parseFloat(btn.dataset.p);
-                this.kI = parseFloat(btn.dataset.i);
-                this.kD = parseFloat(btn.dataset.d);
-                
-                const kpSlider = this.container.querySelector('.kp-slider');
-                const kiSlider = this.container.querySelector('.ki-slider');
-                const kdSlider = this.container.querySelector('.kd-slider');
-                
-                if (kpSlider) kpSlider.value = this.kP;
-                if (kiSlider) kiSlider.value = this.kI;
-                if (kdSlider) kdSlider.value = this.kD;
-                
-                this.container.querySelector('.kp-value').textContent = this.kP.toFixed(1);
-                this.container.querySelector('.ki-value').textContent = this.kI.toFixed(2);
-                this.container.querySelector('.kd-value').textContent = this.kD.toFixed(1);
-                
-                this.integral = 0;
+                const channel = this.scope.channel(btn.dataset.channel);
+                channel.enabled = !channel.enabled;
+                btn.classList.toggle('active', channel.enabled);
             });
         });
         
+        this.container.querySelectorAll('.scope-zoom-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.zoomScope(parseFloat(btn.dataset.zoom)));
+        });
+        
+        const pauseBtn = this.container.querySelector('.scope-pause-btn');
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => {
+                this.scope.setPaused(!this.scope.isPaused);
+                pauseBtn.classList.toggle('active', this.scope.isPaused);
+                pauseBtn.textContent = this.scope.isPaused ? '▶ Resume' : '❚❚ Pause';
+            });
+        }
+        
+        this.canvas.addEventListener('mousemove', (e) => {
+            const { px, py } = this.canvasPoint(e);
+            this.scope.cursorX = this.scope.contains(px, py) ? px : null;
+        });
+        this.canvas.addEventListener('mouseleave', () => { this.scope.cursorX = null; });
+        
+        this.canvas.addEventListener('wheel', (e) => {
+            const { px, py } = this.canvasPoint(e);
+            if (this.scope.contains(px, py)) {
+                e.preventDefault();
+                this.zoomScope(e.deltaY > 0 ? 1.25 : 0.8);
+            } else if (this.sim.controllerType === 'manual') {
+                // Wheel up pushes the plant forward
+                e.preventDefault();
+                this.wheelTrim = Math.max(-1, Math.min(1, this.wheelTrim - Math.sign(e.deltaY) * 0.05));
+            }
+        }, { passive: false });
+        
+        // Recording, export and replay
+        const recordBtn = this.container.querySelector('.record-btn');
+        if (recordBtn) {
+            recordBtn.addEventListener('click', () => this.toggleRecording());
+        }
+        
+        this.container.querySelectorAll('.export-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.exportRecording(btn.dataset.format));
+        });
+        
+        const fileInput = this.container.querySelector('.record-file');
+        const loadBtn = this.container.querySelector('.load-btn');
+        if (fileInput && loadBtn) {
+            loadBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                file.text().then(text => this.loadRecording(text, file.name));
+                fileInput.value = '';
+            });
+        }
+        
+        const replayStopBtn = this.container.querySelector('.replay-stop-btn');
+        if (replayStopBtn) {
+            replayStopBtn.addEventListener('click', () => {
+                if (this.replay) this.stopReplay('Replay stopped');
+            });
+        }
+        
         // Resize
         window.addEventListener('resize', () => this.resizeCanvas());
     }
     
-    reset() {
-        this.ballPos = 0;
-        this.ballVel = 0;
-        this.beamAngle = 0;
-        this.integral = 0;
-        this.lastError = 0;
-        this.positionHistory = [];
-        this.setpointHistory = [];
-        this.disturbance = 0;
+    /**
+     * Swap the plant under control and sync the panels to its defaults.
+     * @param {string} type - Key of PID_PLANTS
+     */
+    setPlant(type) {
+        if (!Object.prototype.hasOwnProperty.call(PID_PLANTS, type)) return;
+        
+        // The remote side runs the old plant; let go before swapping
+        if (this.bridge.socket) {
+            this.bridge.disconnect();
+            this.setBridgeStatus('Plant changed — reconnect to bridge it');
+        }
+        
+        const wasTuning = this.sim.autoTuner.isRunning;
+        if (!this.sim.setPlant(type)) return;
+        this.afterReset(wasTuning);
+        
+        const labelEl = this.container.querySelector('.position-label');
+        if (labelEl) labelEl.textContent = this.sim.plant.measurementLabel;
+        
+        this.syncGainSliders();
+        this.syncTuning();
+        this.syncActuator();
+        this.syncPhysics();
+        if (this.sim.comparison) {
+            this.updateComparisonSliders();
+            this.setCompareStatus('Waiting for a setpoint step…');
+        }
+        this.renderStateSpaceFields();
+        this.showStateSpaceGain();
+        
+        if (this.challenge.isRunning) this.abandonChallenge('Challenge abandoned');
+        this.renderLeaderboard();
+        
+        // A sweep maps one plant only
+        if (this.sweep.hasResults || this.sweep.isRunning) {
+            this.sweep.clear();
+            const view = this.container.querySelector('.sweep-view');
+            if (view) view.classList.add('is-hidden');
+            this.setSweepStatus('Plant changed — run the sweep again');
+        }
     }
     
-    getSetpoint() {
-        switch (this.setpointMode) {
-            case 'left': return -0.6;
-            case 'right': return 0.6;
-            case 'sine': return Math.sin(this.time * 0.02) * 0.5;
-            default: return 0;
+    /**
+     * Show the servo panel only for plants with a servo, and carry the
+     * current slider settings over to a freshly built plant.
+     */
+    syncActuator() {
+        const panel = this.container.querySelector('.pid-actuator');
+        if (panel) panel.classList.toggle('is-hidden', !this.sim.plant.actuator);
+        if (!this.sim.plant.actuator) return;
+        
+        this.container.querySelectorAll('.pid-actuator .pid-slider').forEach(slider => {
+            slider.dispatchEvent(new Event('input'));
+        });
+    }
+    
+    /**
+     * Show the physics panel only for plants with editable physics, and
+     * carry the current settings over to a freshly built plant.
+     */
+    syncPhysics() {
+        const plant = this.sim.plant;
+        const panel = this.container.querySelector('.pid-physics');
+        if (panel) panel.classList.toggle('is-hidden', !plant.physicsKeys.length);
+        if (!plant.physicsKeys.length) return;
+        
+        this.container.querySelectorAll('.pid-physics .pid-slider').forEach(slider => {
+            slider.dispatchEvent(new Event('input'));
+        });
+        const hollowBtn = this.container.querySelector('.inertia-modes [data-inertia="hollow"]');
+        plant.hollow = !!hollowBtn && hollowBtn.classList.contains('active');
+    }
+    
+    /**
+     * Turn the A/B comparison on or off.
+     * @param {boolean} enabled
+     */
+    setComparison(enabled) {
+        const wasTuning = this.sim.autoTuner.isRunning;
+        this.sim.setComparison(enabled);
+        this.afterReset(wasTuning);
+        
+        const btn = this.container.querySelector('.compare-btn');
+        const gains = this.container.querySelector('.compare-gains');
+        if (btn) btn.classList.toggle('active', enabled);
+        if (gains) gains.classList.toggle('is-hidden', !enabled);
+        this.setCompareStatus(enabled ? 'Waiting for a setpoint step…' : 'Run a second loop with its own gains');
+        
+        if (enabled) this.updateComparisonSliders();
+    }
+    
+    updateComparisonSliders() {
+        const pid = this.sim.comparison.pid;
+        this.container.querySelectorAll('.compare-slider').forEach(slider => {
+            const gain = slider.dataset.gain;
+            PIDDemo.showGain(slider, this.container.querySelector(`.compare-${gain}-value`), pid[gain], gain === 'kI' ? 2 : 1);
+        });
+    }
+    
+    /** Headline metrics of A and B for the last setpoint step */
+    updateComparisonMetrics() {
+        const a = this.sim.analyzer.getMetrics(this.settlingBand);
+        const b = this.sim.comparison.analyzer.getMetrics(this.settlingBand);
+        if (!a || !b) return;
+        
+        const fmt = (v, digits, unit = '') => (v !== null ? v.toFixed(digits) + unit : '—');
+        this.setCompareStatus(
+            `IAE A ${fmt(a.iae, 3)} · B ${fmt(b.iae, 3)} | ` +
+            `OS A ${fmt(a.overshoot, 1, '%')} · B ${fmt(b.overshoot, 1, '%')} | ` +
+            `Settle A ${fmt(a.settlingTime, 2, ' s')} · B ${fmt(b.settlingTime, 2, ' s')}`
+        );
+    }
+    
+    setCompareStatus(text) {
+        const statusEl = this.container.querySelector('.compare-status');
+        if (statusEl) statusEl.textContent = text;
+    }
+    
+    /**
+     * Switch between PID and the state-feedback designs.
+     * @param {string} type - 'pid', 'lqr' or 'poles'
+     */
+    setController(type) {
+        this.sim.setController(type);
+        this.heldKeys.clear();
+        this.wheelTrim = 0;
+        this.syncControllerUI();
+        this.showStateSpaceGain();
+    }
+    
+    /** Highlight the active controller and show its design panel */
+    syncControllerUI() {
+        const type = this.sim.controllerType;
+        this.container.querySelectorAll('.controller-modes .mode-btn').forEach(b => {
+            b.classList.toggle('active', b.dataset.controller === type);
+        });
+        
+        const lqrPanel = this.container.querySelector('.lqr-panel');
+        const polesPanel = this.container.querySelector('.poles-panel');
+        const gainEl = this.container.querySelector('.ss-gain');
+        const sliders = this.container.querySelector('.pid-sliders');
+        if (lqrPanel) lqrPanel.classList.toggle('is-hidden', type !== 'lqr');
+        if (polesPanel) polesPanel.classList.toggle('is-hidden', type !== 'poles');
+        if (gainEl) gainEl.classList.toggle('is-hidden', !this.sim.isStateFeedback);
+        if (sliders) sliders.classList.toggle('is-inactive', type !== 'pid');
+    }
+    
+    /** One Q weight input per plant state, labelled with the state name */
+    renderStateSpaceFields() {
+        const weightsEl = this.container.querySelector('.lqr-weights');
+        if (weightsEl) {
+            weightsEl.innerHTML = this.sim.plant.stateLabels.map((label, i) => `
+                <label class="ss-field">${label} <input type="number" class="ss-input lqr-q" data-index="${i}" min="0" step="0.1" value="${this.sim.lqrQ[i]}"></label>
+            `).join('');
+            
+            weightsEl.querySelectorAll('.lqr-q').forEach(input => {
+                input.addEventListener('change', (e) => {
+                    const q = parseFloat(e.target.value);
+                    if (q >= 0) this.sim.lqrQ[parseInt(e.target.dataset.index, 10)] = q;
+                    this.designStateSpace();
+                });
+            });
         }
+        
+        const rInput = this.container.querySelector('.lqr-r');
+        const polesInput = this.container.querySelector('.ss-poles');
+        if (rInput) rInput.value = this.sim.lqrR;
+        if (polesInput) polesInput.value = this.sim.poleText;
+    }
+    
+    /** Redesign the state feedback after an input changed, and show the gain */
+    designStateSpace() {
+        this.sim.designStateSpace();
+        this.showStateSpaceGain();
+    }
+    
+    showStateSpaceGain() {
+        if (!this.sim.isStateFeedback) return;
+        
+        const controller = this.sim.stateController;
+        const gainEl = this.container.querySelector('.ss-gain');
+        if (!gainEl) return;
+        gainEl.classList.toggle('ss-error', !!controller.error);
+        gainEl.textContent = controller.error
+            ? controller.error
+            : `K = [${controller.K.map(k => k.toFixed(2)).join(', ')}], N = ${controller.N.toFixed(2)}`
+                + (this.sim.pinsSetpoint ? ' — no reference gain, setpoint held at center' : '');
+    }
+    
+    /**
+     * Set the PID gains and sync the sliders.
+     * @param {number} kP
+     * @param {number} kI
+     * @param {number} kD
+     */
+    setGains(kP, kI, kD) {
+        this.sim.pid.setGains(kP, kI, kD);
+        this.syncGainSliders();
     }
     
-    update() {
-        this.time++;
+    syncGainSliders() {
+        const pid = this.sim.pid;
+        const gains = [['kP', 'kp', 1], ['kI', 'ki', 2], ['kD', 'kd', 1]];
         
-        // Get current setpoint
-        this.setpoint = this.getSetpoint();
+        for (const [gain, name, digits] of gains) {
+            const slider = this.container.querySelector(`.${name}-slider`);
+            PIDDemo.showGain(slider, this.container.querySelector(`.${name}-value`), pid[gain], digits);
+        }
+    }
+    
+    startAutoTune() {
+        if (this.sim.startAutoTune()) this.setTuneStatus('Relay test running…');
+    }
+    
+    /** Mark the plant's default rule and lock the relay test where it cannot run */
+    syncTuning() {
+        this.container.querySelectorAll('.rule-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.rule === this.sim.tuningRule);
+        });
         
-        // Calculate error
-        const error = this.setpoint - this.ballPos;
+        const tunable = this.sim.plant.relayTunable;
+        const autotuneBtn = this.container.querySelector('.autotune-btn');
+        if (autotuneBtn) autotuneBtn.disabled = !tunable;
+        this.setTuneStatus(tunable ? 'Relay experiment measures Ku and Tu' : 'No relay test here: the pole falls over under on/off output, so there is no oscillation to measure');
+    }
+    
+    /** Show the gains the relay test produced */
+    showTuning() {
+        this.syncControllerUI();
+        this.syncGainSliders();
+        
+        const { Ku, Tu } = this.sim.autoTuner.result;
+        const rule = RelayAutoTuner.RULES[this.sim.tuningRule].name;
+        this.setTuneStatus(`Ku ${Ku.toFixed(2)}, Tu ${Tu.toFixed(2)} s → ${rule}`);
+    }
+    
+    /** Relay test progress, after each of its samples */
+    updateTuneStatus() {
+        const tuner = this.sim.autoTuner;
+        if (tuner.state === 'done') {
+            this.showTuning();
+        } else if (tuner.state === 'failed') {
+            this.setTuneStatus('No stable oscillation — try again');
+        } else {
+            this.setTuneStatus(`Relay test: cycle ${tuner.periods.length + 1}…`);
+        }
+    }
+    
+    setTuneStatus(text) {
+        const statusEl = this.container.querySelector('.pid-autotune .autotune-status');
+        const labelEl = this.container.querySelector('.autotune-btn span');
+        if (statusEl) statusEl.textContent = text;
+        if (labelEl) labelEl.textContent = this.sim.autoTuner.isRunning ? 'Stop test' : 'Run relay test';
+    }
+    
+    /**
+     * Combine the manual inputs into the command: arrow keys (half scale,
+     * full with Shift), the wheel trim and a gamepad's left stick or d-pad.
+     */
+    updateManualInput() {
+        const keys = (this.heldKeys.has('ArrowRight') ? 1 : 0) - (this.heldKeys.has('ArrowLeft') ? 1 : 0);
+        const input = keys * (this.keyBoost ? 1 : 0.5) + this.wheelTrim + this.gamepadAxis();
+        this.sim.manualInput = Math.max(-1, Math.min(1, input));
+    }
+    
+    /** Horizontal input of the first connected gamepad, 0 without one */
+    gamepadAxis() {
+        if (!navigator.getGamepads) return 0;
+        const pad = Array.from(navigator.getGamepads()).find(p => p && p.connected);
+        if (!pad) return 0;
+        
+        const stick = pad.axes[0] || 0;
+        const dpad = (pad.buttons[15] && pad.buttons[15].pressed ? 0.5 : 0) - (pad.buttons[14] && pad.buttons[14].pressed ? 0.5 : 0);
+        return (Math.abs(stick) > 0.08 ? stick : 0) + dpad;
+    }
+    
+    /** Restart the run on the challenge's target sequence and score it */
+    startChallenge() {
+        this.reset();
+        this.setSetpointMode('challenge');
+        this.challenge.start(this.sim.time);
+        this.setChallengeStatus(`${this.challenge.duration.toFixed(0)} s to go — follow the target`);
+    }
+    
+    /** Score the finished run and put it on the board */
+    finishChallenge() {
+        const { iae, ise, itae } = this.challenge.result;
+        const type = this.sim.controllerType;
+        const { kP, kI, kD } = this.sim.pid;
+        const label = {
+            manual: 'Human',
+            pid: `PID ${kP.toFixed(1)}/${kI.toFixed(2)}/${kD.toFixed(1)}`,
+            lqr: 'LQR',
+            poles: 'Pole placement'
+        }[type];
+        const nameInput = this.container.querySelector('.player-name');
+        const name = type === 'manual' ? (nameInput && nameInput.value.trim()) || 'Anonymous' : label;
+        
+        const rank = this.leaderboard.add({
+            name,
+            controller: label,
+            plant: this.sim.plantType,
+            iae,
+            ise,
+            itae,
+            date: new Date().toISOString()
+        });
         
-        // PID calculations
-        // Proportional
-        const P = this.kP * error;
+        this.setSetpointMode('center');
+        this.renderLeaderboard();
+        const place = rank ? ` — #${rank} on the board` : '';
+        this.setChallengeStatus(`IAE ${iae.toFixed(3)} · ISE ${ise.toFixed(3)} · ITAE ${itae.toFixed(2)}${place}`);
+    }
+    
+    abandonChallenge(status) {
+        this.challenge.stop();
+        this.setChallengeStatus(status);
+    }
+    
+    setChallengeStatus(text) {
+        const statusEl = this.container.querySelector('.challenge-status');
+        const labelEl = this.container.querySelector('.challenge-btn span');
+        if (statusEl) statusEl.textContent = text;
+        if (labelEl) labelEl.textContent = this.challenge.isRunning ? 'Stop challenge' : 'Start challenge';
+    }
+    
+    /** Best five runs on the current plant */
+    renderLeaderboard() {
+        const listEl = this.container.querySelector('.leaderboard');
+        if (!listEl) return;
+        
+        // Built with textContent: names are user input
+        listEl.innerHTML = '';
+        this.leaderboard.forPlant(this.sim.plantType).slice(0, 5).forEach(entry => {
+            const item = document.createElement('li');
+            const nameEl = document.createElement('span');
+            nameEl.className = 'leaderboard-name';
+            nameEl.textContent = entry.name;
+            item.appendChild(nameEl);
+            item.appendChild(document.createTextNode(` IAE ${entry.iae.toFixed(3)}`));
+            if (entry.controller !== entry.name) item.appendChild(document.createTextNode(` (${entry.controller})`));
+            listEl.appendChild(item);
+        });
+    }
+    
+    /** Pointer position in canvas pixels */
+    canvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { px: e.clientX - rect.left, py: e.clientY - rect.top };
+    }
+    
+    /** Whether a canvas point is close enough to the plant's grab handle */
+    isOverHandle(px, py) {
+        if (!this.plantView) return false;
+        const handle = this.sim.plant.handlePoint(this.plantView);
+        return !!handle && Math.hypot(px - handle.x, py - handle.y) < 24;
+    }
+    
+    startDrag(e) {
+        this.suppressClick = false;
+        const { px, py } = this.canvasPoint(e);
+        if (!this.isOverHandle(px, py)) return;
+        
+        e.preventDefault();
+        if (this.challenge.isRunning) this.abandonChallenge('Challenge abandoned — no dragging');
+        this.canvas.setPointerCapture(e.pointerId);
+        this.drag = { samples: [] };
+        this.sim.hold(this.sim.plant.position);
+        this.suppressClick = true;
+        this.canvas.style.cursor = 'grabbing';
+    }
+    
+    /**
+     * Move the held plant to the pointer. The plant keeps the pointer's
+     * speed, so the controller sees a realistic derivative while it's held.
+     */
+    moveDrag(e) {
+        const { px, py } = this.canvasPoint(e);
+        if (!this.drag) {
+            this.canvas.style.cursor = this.isOverHandle(px, py) ? 'grab' : '';
+            return;
+        }
         
-        // Integral (with anti-windup)
-        this.integral += error;
-        this.integral = Math.max(-this.integralLimit, Math.min(this.integralLimit, this.integral));
-        const I = this.kI * this.integral;
+        const n = this.sim.plant.setpointFromPoint(px, py, this.plantView);
+        if (n === null) return;
+        const held = this.sim.held;
+        this.sim.hold(this.sim.plant.fromNormalized(n), held.velocity);
         
-        // Derivative
-        const D = this.kD * (error - this.lastError);
-        this.lastError = error;
+        // The held position is read back after the plant clamps or unwraps it
+        const t = e.timeStamp / 1000;
+        this.drag.samples.push({ t, position: this.sim.held.position });
+        this.sim.held.velocity = this.dragVelocity(t);
+    }
+    
+    endDrag(e) {
+        if (!this.drag) return;
         
-        // Control output (beam angle)
-        let output = P + I + D;
-        output = Math.max(-1, Math.min(1, output));
+        const velocity = this.dragVelocity(e.timeStamp / 1000);
+        this.lastRelease = { position: this.sim.held.position, velocity };
+        this.sim.release(velocity);
+        this.drag = null;
+        this.canvas.style.cursor = '';
         
-        // Smooth beam angle transition
-        const targetAngle = output * this.maxAngle;
-        this.beamAngle += (targetAngle - this.beamAngle) * 0.1;
+        const repeatBtn = this.container.querySelector('.repeat-btn');
+        if (repeatBtn) repeatBtn.disabled = false;
+    }
+    
+    /**
+     * Pointer speed over the last 100 ms of the drag, in plant units per
+     * second; zero once the pointer has been still that long.
+     * @param {number} now - Event time in seconds
+     */
+    dragVelocity(now) {
+        const samples = this.drag.samples.filter(s => s.t >= now - 0.1);
+        this.drag.samples = samples;
+        if (samples.length < 2) return 0;
+        
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        return last.t > first.t ? (last.position - first.position) / (last.t - first.t) : 0;
+    }
+    
+    /**
+     * Widen or narrow the scope's time window.
+     * @param {number} factor - Greater than 1 zooms out
+     */
+    zoomScope(factor) {
+        this.scope.zoom(factor);
+        const spanEl = this.container.querySelector('.scope-span-value');
+        if (spanEl) spanEl.textContent = this.scope.span.toFixed(1) + ' s';
+    }
+    
+    toggleRecording() {
+        if (this.recorder.isRecording) {
+            this.recorder.stop();
+            const { length } = this.recorder.frames;
+            this.setRecordStatus(`Recorded ${length} samples, ${this.recorder.duration.toFixed(1)} s`);
+        } else {
+            this.recorder.start(this.sim.time, this.recordingMeta());
+            this.setRecordStatus('Recording…');
+        }
+    }
+    
+    /** Settings stored alongside a recording so a review can reproduce it */
+    recordingMeta() {
+        return {
+            plant: this.sim.plantType,
+            controller: this.sim.controllerType,
+            kP: this.sim.pid.kP,
+            kI: this.sim.pid.kI,
+            kD: this.sim.pid.kD,
+            derivative: this.sim.pid.derivativeMode,
+            antiWindup: this.sim.pid.antiWindup,
+            controlRate: Math.round(1 / this.sim.controlPeriod),
+            recorded: new Date().toISOString()
+        };
+    }
+    
+    /** Append the current controller sample to the recording, if one is running */
+    recordSample() {
+        const pid = this.sim.isPIDActive;
+        const wasRecording = this.recorder.isRecording;
+        this.recorder.record(this.sim.time, {
+            setpoint: this.sim.setpoint,
+            position: this.sim.plant.position,
+            velocity: this.sim.plant.velocity,
+            angle: this.sim.plant.angle,
+            p: pid ? this.sim.pid.pTerm : 0,
+            i: pid ? this.sim.pid.iTerm : 0,
+            d: pid ? this.sim.pid.dTerm : 0,
+            output: this.sim.output
+        });
         
-        // Physics: ball acceleration from beam angle + disturbance
-        const acceleration = Math.sin(this.beamAngle) * this.gravity + this.disturbance * 0.01;
-        this.ballVel += acceleration;
-        this.ballVel *= this.friction;
-        this.ballPos += this.ballVel;
+        if (wasRecording && !this.recorder.isRecording) {
+            this.setRecordStatus(`Recording full at ${this.recorder.duration.toFixed(0)} s`);
+        }
+    }
+    
+    /**
+     * Download the last recording.
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportRecording(format) {
+        if (this.recorder.frames.length === 0) {
+            this.setRecordStatus('Nothing recorded yet');
+            return;
+        }
         
-        // Boundary bounce
-        if (this.ballPos > 1) {
-            this.ballPos = 1;
-            this.ballVel *= -0.5;
-        } else if (this.ballPos < -1) {
-            this.ballPos = -1;
-            this.ballVel *= -0.5;
+        const csv = format === 'csv';
+        const text = csv ? this.recorder.toCSV() : this.recorder.toJSON();
+        const blob = new Blob([text], { type: csv ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `pid_run_${this.recorder.meta.plant || this.sim.plantType}.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Replay a recording alongside a fresh live run. The recorded plant is
+     * selected if it differs from the live one; the live gains are kept so
+     * the two runs can be compared.
+     * @param {string} text - Exported CSV or JSON
+     * @param {string} name - File name, for the status line
+     */
+    loadRecording(text, name) {
+        const recording = RunRecorder.parse(text);
+        if (!recording) {
+            this.setRecordStatus(`Could not read ${name}`);
+            return;
         }
         
-        // Update history
-        this.positionHistory.push(this.ballPos);
-        this.setpointHistory.push(this.setpoint);
-        if (this.positionHistory.length > this.historyLength) {
-            this.positionHistory.shift();
-            this.setpointHistory.shift();
+        this.replay = { frames: recording.frames, meta: recording.meta, start: this.sim.time };
+        
+        const { plant } = recording.meta;
+        if (plant && plant !== this.sim.plantType && Object.prototype.hasOwnProperty.call(PID_PLANTS, plant)) {
+            this.container.querySelectorAll('.plant-modes .mode-btn').forEach(b => {
+                b.classList.toggle('active', b.dataset.plant === plant);
+            });
+            this.setPlant(plant);
+        } else {
+            this.reset();
         }
         
-        // Update stats display
+        const duration = recording.frames[recording.frames.length - 1].t;
+        this.setRecordStatus(`Replaying ${name} (${duration.toFixed(1)} s)`);
+    }
+    
+    stopReplay(status) {
+        this.replay = null;
+        this.replayFrame = null;
+        this.setRecordStatus(status);
+    }
+    
+    setRecordStatus(text) {
+        const statusEl = this.container.querySelector('.record-status');
+        const labelEl = this.container.querySelector('.record-btn span');
+        if (statusEl) statusEl.textContent = text;
+        if (labelEl) labelEl.textContent = this.recorder.isRecording ? 'Stop' : 'Record';
+    }
+    
+    /** Sweep the live plant and settings across the gain grid */
+    startSweep() {
+        this.sweep.band = this.settlingBand;
+        
+        // Sweep what the sliders reach; they stretch to fit tuned gains
+        const range = (name, fallback) => {
+            const slider = this.container.querySelector(`.${name}-slider`);
+            return slider ? [parseFloat(slider.min), parseFloat(slider.max)] : fallback;
+        };
+        this.sweep.kPRange = range('kp', this.sweep.kPRange);
+        this.sweep.kIRange = range('ki', this.sweep.kIRange);
+        this.sweep.kDRange = range('kd', this.sweep.kDRange);
+        this.sweep.start(this.sim, this.sweepKI);
+        this.renderSweepSlices();
+        
+        const view = this.container.querySelector('.sweep-view');
+        if (view) view.classList.remove('is-hidden');
+        this.setSweepStatus('Sweeping… 0%');
+    }
+    
+    /** One button per kI value when kI is swept */
+    renderSweepSlices() {
+        const slicesEl = this.container.querySelector('.sweep-slices');
+        if (!slicesEl) return;
+        
+        const values = this.sweep.kIValues;
+        slicesEl.innerHTML = values.length < 2 ? '' : '<span class="action-label">kI slice</span>' + values.map((kI, i) => `
+            <button class="mode-btn${i === this.sweep.slice ? ' active' : ''}" data-slice="${i}">${kI.toFixed(2)}</button>
+        `).join('');
+        
+        slicesEl.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                slicesEl.querySelectorAll('.mode-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.sweep.slice = parseInt(btn.dataset.slice, 10);
+                this.sweep.hover = null;
+                if (!this.sweep.isRunning) this.showSweepBest();
+            });
+        });
+    }
+    
+    /** Run part of a sweep in this frame and report progress */
+    advanceSweep() {
+        const done = this.sweep.advance(8);
+        if (done) this.showSweepBest();
+        else this.setSweepStatus(`Sweeping… ${Math.round(this.sweep.progress * 100)}%`);
+    }
+    
+    showSweepBest() {
+        const best = this.sweep.best;
+        this.setSweepStatus(best
+            ? `Best ${this.describeSweepCell(best)} · click a cell to load it`
+            : `Nothing in this slice settled within ${this.sweep.duration} s`);
+    }
+    
+    describeSweepCell(cell) {
+        const gains = `kP ${cell.kP.toFixed(1)}, kI ${cell.kI.toFixed(2)}, kD ${cell.kD.toFixed(1)}`;
+        if (!cell.settled) return `${gains}: not settled in ${this.sweep.duration} s`;
+        
+        const metric = GainSweep.METRICS[this.sweep.metric];
+        return `${gains}: ${metric.label} ${this.sweep.score(cell).toFixed(metric.digits)}${metric.unit}`;
+    }
+    
+    connectBridge() {
+        const urlInput = this.container.querySelector('.bridge-url');
+        this.bridge.connect(urlInput ? urlInput.value.trim() : 'ws://localhost:8765');
+    }
+    
+    setBridgeStatus(text) {
+        const statusEl = this.container.querySelector('.bridge-status');
+        const labelEl = this.container.querySelector('.bridge-btn span');
+        if (statusEl) statusEl.textContent = text;
+        if (labelEl) labelEl.textContent = this.bridge.socket ? 'Disconnect' : 'Connect';
+    }
+    
+    setSweepStatus(text) {
+        const statusEl = this.container.querySelector('.sweep-status');
+        const labelEl = this.container.querySelector('.sweep-btn span');
+        if (statusEl) statusEl.textContent = text;
+        if (labelEl) labelEl.textContent = this.sweep.isRunning ? 'Stop sweep' : 'Run sweep';
+    }
+    
+    drawSweep() {
+        if (!this.sweep.hasResults) return;
+        
+        const { width, height } = this.sweepSize;
+        this.sweep.draw(this.sweepCtx, { x: 0, y: 0, width, height }, {
+            background: this.colors.graphBg,
+            grid: 'rgba(0, 240, 255, 0.12)',
+            text: 'rgba(0, 240, 255, 0.5)',
+            unsettled: '#2a1420'
+        }, this.sim.pid);
+    }
+    
+    reset() {
+        const wasTuning = this.sim.autoTuner.isRunning;
+        this.sim.reset();
+        this.afterReset(wasTuning);
+        if (this.challenge.isRunning) this.abandonChallenge('Challenge abandoned');
+    }
+    
+    /**
+     * Restart what the view keeps per run after the simulation was reset.
+     * @param {boolean} wasTuning - Whether a relay test ran before the reset
+     */
+    afterReset(wasTuning) {
+        this.scope.clear();
+        if (wasTuning) this.setTuneStatus('Relay test stopped');
+        
+        // A replay restarts with the live run so the two stay aligned
+        if (this.replay) {
+            this.replay.start = this.sim.time;
+            this.replayFrame = this.replay.frames[0];
+        }
+    }
+    
+    /**
+     * Set the controller sample period and redesign the state feedback for it.
+     * @param {number} ts - Seconds between controller samples
+     */
+    setSamplePeriod(ts) {
+        this.sim.setSamplePeriod(ts);
+        this.showStateSpaceGain();
+    }
+    
+    /**
+     * Current target in plant units. The modes are defined on [-1, 1] and
+     * mapped onto the plant's setpoint range.
+     * @returns {number}
+     */
+    getSetpoint() {
+        return this.sim.plant.fromNormalized(this.getNormalizedSetpoint());
+    }
+    
+    /**
+     * Target on [-1, 1] for the active mode. Periodic profiles run from the
+     * moment they were selected, so each one starts at a known phase.
+     * @returns {number}
+     */
+    getNormalizedSetpoint() {
+        const t = this.sim.time - this.profileStart;
+        const A = this.profileAmplitude;
+        const T = this.profilePeriod;
+        const phase = (t / T) % 1;
+        
+        switch (this.setpointMode) {
+            case 'left': return -0.6;
+            case 'right': return 0.6;
+            case 'sine': return Math.sin(2 * Math.PI * phase) * A;
+            case 'square': return phase < 0.5 ? A : -A;
+            case 'ramp': return A * (phase < 0.5 ? 4 * phase - 1 : 3 - 4 * phase);
+            case 'trapezoid': return A * PIDDemo.trapezoid(phase);
+            case 'chirp': return A * Math.sin(PIDDemo.chirpPhase(t, T));
+            case 'random':
+                if (t >= this.randomNext) {
+                    this.randomTarget = (Math.random() * 2 - 1) * A;
+                    this.randomNext = t + T;
+                }
+                return this.randomTarget;
+            case 'sequence': return PIDDemo.sequenceTarget(this.sequence, t);
+            case 'custom': return this.customSetpoint;
+            case 'challenge': return this.challenge.targetAt(this.sim.time);
+            default: return 0;
+        }
+    }
+    
+    /**
+     * Switch the setpoint mode and restart the profile clock.
+     * @param {string} mode - One of the setpoint modes
+     */
+    setSetpointMode(mode) {
+        if (this.challenge.isRunning && mode !== 'challenge') this.abandonChallenge('Challenge abandoned');
+        this.setpointMode = mode;
+        this.profileStart = this.sim.time;
+        this.randomNext = 0;
+        this.sim.pid.integral = 0;
+        
+        this.container.querySelectorAll('.setpoint-btn').forEach(b => {
+            b.classList.toggle('active', b.dataset.pos === mode);
+        });
+        const sequenceGroup = this.container.querySelector('.sequence-group');
+        if (sequenceGroup) sequenceGroup.classList.toggle('is-hidden', mode !== 'sequence');
+    }
+    
+    /**
+     * Gain label text with the given decimals, or two significant figures
+     * for small gains that would otherwise read as zero
+     */
+    static formatGain(value, digits) {
+        if (value !== 0 && Math.abs(value) < Math.pow(10, 1 - digits)) return value.toPrecision(2);
+        return value.toFixed(digits);
+    }
+    
+    /**
+     * Put a gain on its slider and label. Tuned or remote gains can be past
+     * the slider's usual range (data-max), so the range stretches to fit.
+     */
+    static showGain(slider, label, value, digits) {
+        if (slider) {
+            slider.max = Math.max(parseFloat(slider.dataset.max), Math.ceil(value));
+            slider.value = value;
+        }
+        if (label) label.textContent = PIDDemo.formatGain(value, digits);
+    }
+    
+    /** Move from -1 to 1 and back with ramps and holds of a quarter period each */
+    static trapezoid(phase) {
+        if (phase < 0.25) return -1 + 8 * phase;
+        if (phase < 0.5) return 1;
+        if (phase < 0.75) return 1 - 8 * (phase - 0.5);
+        return -1;
+    }
+    
+    /**
+     * Phase of a linear frequency sweep from 0.05 Hz to 2 Hz, repeating
+     * every four profile periods.
+     */
+    static chirpPhase(t, period) {
+        const f0 = 0.05;
+        const f1 = 2;
+        const sweep = 4 * period;
+        const tau = t % sweep;
+        return 2 * Math.PI * (f0 * tau + (f1 - f0) * tau * tau / (2 * sweep));
+    }
+    
+    /**
+     * Parse "0:0, 2:0.6, 5:-0.6" into waypoints sorted by time.
+     * @returns {Array<{t: number, target: number}>|null} null on a syntax error
+     */
+    static parseSequence(text) {
+        const waypoints = [];
+        for (const token of text.split(',').map(s => s.trim()).filter(Boolean)) {
+            const [t, target] = token.split(':').map(Number);
+            if (!isFinite(t) || !isFinite(target) || t < 0) return null;
+            waypoints.push({ t, target: Math.max(-1, Math.min(1, target)) });
+        }
+        if (waypoints.length === 0) return null;
+        return waypoints.sort((a, b) => a.t - b.t);
+    }
+    
+    /** Hold each waypoint's target from its time on; hold the last one forever */
+    static sequenceTarget(sequence, t) {
+        let target = 0;
+        for (const wp of sequence) {
+            if (wp.t > t) break;
+            target = wp.target;
+        }
+        return target;
+    }
+    
+    /**
+     * Everything the view does once per controller sample.
+     * @param {number} error - Controller error this sample
+     * @param {number} output - Controller output this sample
+     */
+    handleSample(error, output) {
+        this.recordSample();
+        this.recordHistory(true);
+        this.bridge.sample();
+        if (this.challenge.isRunning) this.sampleChallenge();
         this.updateStats(error, output);
+        this.updateMetrics();
+        if (this.sim.comparison) this.updateComparisonMetrics();
+    }
+    
+    sampleChallenge() {
+        const error = this.sim.setpoint - this.sim.plant.position;
+        const done = this.challenge.sample(this.sim.time, error, this.sim.plant.halfRange, this.sim.controlPeriod);
+        if (done) this.finishChallenge();
+        else this.setChallengeStatus(`${this.challenge.remaining.toFixed(1)} s to go · IAE ${this.challenge.iae.toFixed(3)}`);
+    }
+    
+    /**
+     * Keep the scope running at its own rate between slow controller
+     * samples, so the plant's motion stays visible however long the sample
+     * period is. Faster controllers are recorded at their samples only.
+     */
+    handleStep() {
+        if (this.sim.controlPeriod > this.scopePeriod) this.recordHistory(false);
+    }
+    
+    /**
+     * Push the current state to the scope and advance the replay.
+     * @param {boolean} sampled - Whether the controller sampled just now
+     */
+    recordHistory(sampled) {
+        // Samples faster than the scope rate are thinned out
+        const due = this.sim.time - this.scope.latestTime >= this.scopePeriod - 1e-9;
+        if (!due && !(sampled && this.sim.controlPeriod > this.scopePeriod)) return;
+        
+        if (this.replay) {
+            this.replayFrame = RunRecorder.frameAt(this.replay.frames, this.sim.time - this.replay.start);
+            if (!this.replayFrame) this.stopReplay('Replay finished');
+        }
+        
+        this.scope.push(this.sim.time, {
+            position: this.sim.plant.position,
+            setpoint: this.sim.setpoint,
+            compare: this.sim.comparison ? this.sim.comparison.plant.position : null,
+            measured: this.sim.sensor.isIdeal ? null : this.sim.measured,
+            estimate: this.sim.estimator.type === 'none' ? null : this.sim.estimate,
+            replay: this.replayFrame ? this.replayFrame.position : null,
+            sampled: sampled ? this.sim.measured : null,
+            error: this.sim.error,
+            p: this.sim.isPIDActive ? this.sim.pid.pTerm : null,
+            i: this.sim.isPIDActive ? this.sim.pid.iTerm : null,
+            d: this.sim.isPIDActive ? this.sim.pid.dTerm : null,
+            output: this.sim.output,
+            angle: this.sim.plant.angle
+        });
     }
     
     updateStats(error, output) {
@@ -341,11 +1934,31 @@ class PIDDemo {
         const errEl = this.container.querySelector('.error-value');
         const outEl = this.container.querySelector('.output-value');
         
-        if (posEl) posEl.textContent = this.ballPos.toFixed(2);
+        if (posEl) posEl.textContent = this.sim.plant.position.toFixed(2);
         if (errEl) errEl.textContent = error.toFixed(2);
         if (outEl) outEl.textContent = output.toFixed(2);
     }
     
+    updateMetrics() {
+        const m = this.sim.analyzer.getMetrics(this.settlingBand);
+        const fmt = (v, digits, unit = '') => (m && v !== null ? v.toFixed(digits) + unit : '—');
+        
+        const fields = {
+            '.rise-value': fmt(m && m.riseTime, 2, ' s'),
+            '.overshoot-value': fmt(m && m.overshoot, 1, '%'),
+            '.settle-value': fmt(m && m.settlingTime, 2, ' s'),
+            '.sse-value': fmt(m && m.steadyStateError, 3),
+            '.iae-value': fmt(m && m.iae, 3),
+            '.ise-value': fmt(m && m.ise, 3),
+            '.itae-value': fmt(m && m.itae, 3)
+        };
+        
+        for (const selector in fields) {
+            const el = this.container.querySelector(selector);
+            if (el) el.textContent = fields[selector];
+        }
+    }
+    
     draw() {
         if (!this.ctx) return;
         
@@ -358,276 +1971,50 @@ class PIDDemo {
         ctx.fillRect(0, 0, w, h);
         
         // Draw graph area (bottom portion)
-        const graphHeight = 80;
+        const graphHeight = 150;
         const graphY = h - graphHeight - 10;
         this.drawGraph(ctx, 10, graphY, w - 20, graphHeight);
         
-        // Draw beam and ball (top portion)
-        const beamCenterX = w / 2;
-        const beamCenterY = (graphY - 20) / 2 + 20;
-        const beamLength = Math.min(w * 0.7, 350);
-        const beamHeight = 12;
-        
-        this.drawBeam(ctx, beamCenterX, beamCenterY, beamLength, beamHeight);
-        this.drawBall(ctx, beamCenterX, beamCenterY, beamLength);
-        this.drawSetpointMarker(ctx, beamCenterX, beamCenterY, beamLength);
-    }
-    
-    drawBeam(ctx, cx, cy, length, height) {
-        ctx.save();
-        ctx.translate(cx, cy);
-        ctx.rotate(this.beamAngle);
-        
-        // Beam shadow
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-        ctx.beginPath();
-        ctx.ellipse(0, height + 5, length / 2, 8, 0, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Beam body
-        const gradient = ctx.createLinearGradient(0, -height, 0, height);
-        gradient.addColorStop(0, this.colors.beamHighlight);
-        gradient.addColorStop(0.5, this.colors.beam);
-        gradient.addColorStop(1, '#0f0f1a');
-        
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        ctx.roundRect(-length / 2, -height / 2, length, height, 4);
-        ctx.fill();
-        
-        // Beam edge highlight
-        ctx.strokeStyle = 'rgba(0, 240, 255, 0.2)';
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-        ctx.moveTo(-length / 2 + 4, -height / 2);
-        ctx.lineTo(length / 2 - 4, -height / 2);
-        ctx.stroke();
-        
-        // Track groove
-        ctx.strokeStyle = 'rgba(0, 240, 255, 0.1)';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(-length / 2 + 20, 0);
-        ctx.lineTo(length / 2 - 20, 0);
-        ctx.stroke();
-        
-        // End caps
-        ctx.fillStyle = this.colors.beam;
-        ctx.beginPath();
-        ctx.arc(-length / 2 + 10, 0, 6, 0, Math.PI * 2);
-        ctx.arc(length / 2 - 10, 0, 6, 0, Math.PI * 2);
-        ctx.fill();
-        
-        ctx.restore();
-        
-        // Pivot point (fixed, doesn't rotate)
-        ctx.fillStyle = this.colors.pivot;
-        ctx.shadowColor = this.colors.pivot;
-        ctx.shadowBlur = 15;
-        ctx.beginPath();
-        ctx.arc(cx, cy + height / 2 + 3, 8, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Pivot inner
-        ctx.fillStyle = '#0a0a0f';
-        ctx.shadowBlur = 0;
-        ctx.beginPath();
-        ctx.arc(cx, cy + height / 2 + 3, 4, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Base
-        ctx.fillStyle = '#1a1a2e';
-        ctx.beginPath();
-        ctx.moveTo(cx - 25, cy + height / 2 + 10);
-        ctx.lineTo(cx + 25, cy + height / 2 + 10);
-        ctx.lineTo(cx + 35, cy + height / 2 + 40);
-        ctx.lineTo(cx - 35, cy + height / 2 + 40);
-        ctx.closePath();
-        ctx.fill();
-        
-        ctx.strokeStyle = 'rgba(0, 240, 255, 0.2)';
-        ctx.lineWidth = 1;
-        ctx.stroke();
-    }
-    
-    drawBall(ctx, cx, cy, beamLength) {
-        // Calculate ball position on beam
-        const ballX = this.ballPos * (beamLength / 2 - 30);
-        const ballRadius = 14;
-        
-        // Transform to beam coordinates
-        const cosA = Math.cos(this.beamAngle);
-        const sinA = Math.sin(this.beamAngle);
-        
-        const worldX = cx + ballX * cosA;
-        const worldY = cy + ballX * sinA - ballRadius - 4;
-        
-        // Ball shadow on beam
-        ctx.save();
-        ctx.translate(cx, cy);
-        ctx.rotate(this.beamAngle);
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-        ctx.beginPath();
-        ctx.ellipse(ballX, -2, ballRadius * 0.8, 4, 0, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.restore();
-        
-        // Ball glow
-        ctx.fillStyle = this.colors.ballGlow;
-        ctx.shadowColor = this.colors.ball;
-        ctx.shadowBlur = 25;
-        ctx.beginPath();
-        ctx.arc(worldX, worldY, ballRadius + 5, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Ball body
-        const ballGradient = ctx.createRadialGradient(
-            worldX - 4, worldY - 4, 2,
-            worldX, worldY, ballRadius
-        );
-        ballGradient.addColorStop(0, '#ffffff');
-        ballGradient.addColorStop(0.3, this.colors.ball);
-        ballGradient.addColorStop(1, '#0088aa');
-        
-        ctx.fillStyle = ballGradient;
-        ctx.shadowBlur = 0;
-        ctx.beginPath();
-        ctx.arc(worldX, worldY, ballRadius, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Ball highlight
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
-        ctx.beginPath();
-        ctx.arc(worldX - 4, worldY - 4, 5, 0, Math.PI * 2);
-        ctx.fill();
-    }
-    
-    drawSetpointMarker(ctx, cx, cy, beamLength) {
-        const markerX = this.setpoint * (beamLength / 2 - 30);
-        
-        ctx.save();
-        ctx.translate(cx, cy);
-        ctx.rotate(this.beamAngle);
-        
-        // Setpoint indicator (triangle pointing down)
-        ctx.fillStyle = this.colors.setpoint;
-        ctx.shadowColor = this.colors.setpoint;
-        ctx.shadowBlur = 10;
-        
-        ctx.beginPath();
-        ctx.moveTo(markerX, -35);
-        ctx.lineTo(markerX - 8, -45);
-        ctx.lineTo(markerX + 8, -45);
-        ctx.closePath();
-        ctx.fill();
-        
-        // Dashed line to beam
-        ctx.strokeStyle = this.colors.setpoint;
-        ctx.lineWidth = 1;
-        ctx.setLineDash([3, 3]);
-        ctx.shadowBlur = 0;
-        ctx.beginPath();
-        ctx.moveTo(markerX, -35);
-        ctx.lineTo(markerX, -8);
-        ctx.stroke();
-        ctx.setLineDash([]);
-        
-        ctx.restore();
+        // Draw the plant (top portion)
+        this.plantView = { x: 0, y: 20, width: w, height: graphY - 20 };
+        if (this.sim.comparison) {
+            // B drawn faintly behind A
+            ctx.save();
+            ctx.globalAlpha = 0.55;
+            this.sim.comparison.plant.render(ctx, this.plantView, this.sim.setpoint);
+            ctx.restore();
+        }
+        this.sim.plant.render(ctx, this.plantView, this.sim.setpoint);
+        if (this.replayFrame) this.sim.plant.renderGhost(ctx, this.plantView, this.replayFrame);
     }
     
     drawGraph(ctx, x, y, width, height) {
-        // Background
-        ctx.fillStyle = this.colors.graphBg;
-        ctx.beginPath();
-        ctx.roundRect(x, y, width, height, 6);
-        ctx.fill();
-        
-        // Border
-        ctx.strokeStyle = 'rgba(0, 240, 255, 0.2)';
-        ctx.lineWidth = 1;
-        ctx.stroke();
-        
-        // Grid lines
-        ctx.strokeStyle = 'rgba(0, 240, 255, 0.1)';
-        ctx.beginPath();
-        // Horizontal center
-        ctx.moveTo(x, y + height / 2);
-        ctx.lineTo(x + width, y + height / 2);
-        // Quarters
-        ctx.moveTo(x, y + height / 4);
-        ctx.lineTo(x + width, y + height / 4);
-        ctx.moveTo(x, y + 3 * height / 4);
-        ctx.lineTo(x + width, y + 3 * height / 4);
-        ctx.stroke();
-        
-        // Labels
-        ctx.fillStyle = 'rgba(0, 240, 255, 0.4)';
-        ctx.font = '10px JetBrains Mono, monospace';
-        ctx.fillText('+1', x + 4, y + 12);
-        ctx.fillText('0', x + 4, y + height / 2 + 4);
-        ctx.fillText('-1', x + 4, y + height - 4);
-        
-        if (this.positionHistory.length < 2) return;
-        
-        const padding = 30;
-        const graphWidth = width - padding;
-        const graphHeight = height - 10;
-        const graphX = x + padding;
-        const graphY = y + 5;
-        
-        // Draw setpoint line
-        ctx.strokeStyle = this.colors.setpoint;
-        ctx.lineWidth = 1;
-        ctx.globalAlpha = 0.5;
-        ctx.beginPath();
-        for (let i = 0; i < this.setpointHistory.length; i++) {
-            const px = graphX + (i / this.historyLength) * graphWidth;
-            const py = graphY + graphHeight / 2 - this.setpointHistory[i] * (graphHeight / 2);
-            if (i === 0) ctx.moveTo(px, py);
-            else ctx.lineTo(px, py);
-        }
-        ctx.stroke();
-        ctx.globalAlpha = 1;
-        
-        // Draw position line
-        ctx.strokeStyle = this.colors.graphLine;
-        ctx.lineWidth = 2;
-        ctx.shadowColor = this.colors.graphLine;
-        ctx.shadowBlur = 5;
-        ctx.beginPath();
-        for (let i = 0; i < this.positionHistory.length; i++) {
-            const px = graphX + (i / this.historyLength) * graphWidth;
-            const py = graphY + graphHeight / 2 - this.positionHistory[i] * (graphHeight / 2);
-            if (i === 0) ctx.moveTo(px, py);
-            else ctx.lineTo(px, py);
-        }
-        ctx.stroke();
-        ctx.shadowBlur = 0;
-        
-        // Current position dot
-        if (this.positionHistory.length > 0) {
-            const lastIdx = this.positionHistory.length - 1;
-            const lastX = graphX + (lastIdx / this.historyLength) * graphWidth;
-            const lastY = graphY + graphHeight / 2 - this.positionHistory[lastIdx] * (graphHeight / 2);
-            
-            ctx.fillStyle = this.colors.ball;
-            ctx.beginPath();
-            ctx.arc(lastX, lastY, 4, 0, Math.PI * 2);
-            ctx.fill();
-        }
-        
-        // Legend
-        ctx.font = '10px JetBrains Mono, monospace';
-        ctx.fillStyle = this.colors.graphLine;
-        ctx.fillText('● Position', x + width - 100, y + 15);
-        ctx.fillStyle = this.colors.setpoint;
-        ctx.fillText('● Target', x + width - 100, y + 28);
+        this.scope.draw(ctx, { x, y, width, height }, {
+            background: this.colors.graphBg,
+            grid: 'rgba(0, 240, 255, 0.12)',
+            text: 'rgba(0, 240, 255, 0.5)'
+        });
     }
     
-    animate() {
-        this.update();
+    animate(timestamp) {
+        // Accumulate real frame time and consume it in fixed physics steps,
+        // so the simulation is independent of the display refresh rate
+        if (this.lastFrameTime !== null) {
+            const frameTime = Math.min((timestamp - this.lastFrameTime) / 1000, this.maxFrameTime);
+            this.accumulator += frameTime;
+        }
+        this.lastFrameTime = timestamp;
+        
+        while (this.accumulator >= this.sim.dt) {
+            this.sim.step(this.sim.dt);
+            this.accumulator -= this.sim.dt;
+        }
+        
+        if (this.sim.controllerType === 'manual') this.updateManualInput();
+        if (this.sweep.isRunning) this.advanceSweep();
         this.draw();
-        this.animationFrame = requestAnimationFrame(() => this.animate());
+        this.drawSweep();
+        this.animationFrame = requestAnimationFrame((t) => this.animate(t));
     }
     
     destroy() {
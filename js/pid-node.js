@@ -0,0 +1,39 @@
+/**
+ * Node entry point for the PID simulation core
+ * The core files are plain browser scripts that share one global scope, so
+ * they are evaluated here together inside a function and their classes
+ * returned as a module. Nothing leaks into Node's globals.
+ *
+ *   const { PIDSimulation } = require('./js/pid-node.js');
+ *   const sim = new PIDSimulation({ plant: 'dcMotor' });
+ *   sim.setpointSource = () => 1;
+ *   sim.run(5);
+ *   console.log(sim.plant.position, sim.analyzer.getMetrics());
+ *
+ * In a worker, importScripts() the same files in this order instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FILES = [
+    'pid-plants.js',
+    'pid-statespace.js',
+    'pid-controller.js',
+    'pid-sensing.js',
+    'pid-recorder.js',
+    'pid-sim.js',
+    'pid-sweep.js',
+    'pid-challenge.js',
+    'pid-bridge.js'
+];
+
+const EXPORTS = [
+    'Plant', 'ServoActuator', 'BallBeamPlant', 'CartPolePlant', 'DCMotorPlant', 'MassSpringDamperPlant', 'PID_PLANTS',
+    'LinAlg', 'StateSpaceController', 'PIDController', 'SensorModel', 'StateEstimator', 'RunRecorder',
+    'StepAnalyzer', 'RelayAutoTuner', 'PIDSimulation', 'GainSweep', 'TrackingChallenge', 'Leaderboard',
+    'PlantBridge'
+];
+
+const source = FILES.map(file => fs.readFileSync(path.join(__dirname, file), 'utf8')).join('\n');
+module.exports = new Function(`${source}\nreturn { ${EXPORTS.join(', ')} };`)();
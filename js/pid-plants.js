@@ -0,0 +1,1123 @@
+/**
+ * Plant models for the PID demo
+ * Each plant owns its state, integrates its own dynamics and draws itself.
+ * The controller only sees `position` and drives `step(input, dt)` with an
+ * input in [-1, 1], so the same loop and graph work for every plant.
+ */
+
+class Plant {
+    constructor(colors) {
+        this.colors = colors;
+        this.name = 'Plant';
+        this.measurementLabel = 'Position';
+        this.setpointRange = [-1, 1];
+        this.defaultGains = { kP: 1, kI: 0, kD: 0 };
+        this.impulseScale = 1;       // velocity kick per unit impulse
+        this.disturbanceScale = 1;   // acceleration per unit disturbance
+        this.physicsKeys = [];       // editable physical parameters, copied to A/B and sweep runs
+        this.tuningRule = 'zn';      // default auto-tune rule, see RelayAutoTuner.RULES
+        this.relayTunable = true;    // false if the relay test cannot hold a limit cycle
+        
+        // State-space design defaults
+        this.stateLabels = ['y'];
+        this.defaultQ = [1];
+        this.defaultR = 1;
+        this.defaultPoles = '-2';
+    }
+    
+    /** Measured output the controller regulates */
+    get position() {
+        return 0;
+    }
+    
+    /** Rate of change of the measured output */
+    get velocity() {
+        return 0;
+    }
+    
+    /** Main angle of the mechanism (beam tilt, pole or shaft), 0 if none */
+    get angle() {
+        return 0;
+    }
+    
+    reset() {}
+    
+    /**
+     * Integrate the dynamics over one physics step.
+     * @param {number} input - Controller output in [-1, 1]
+     * @param {number} dt - Step length in seconds
+     * @param {number} disturbance - External disturbance in [-1, 1]
+     */
+    step(input, dt, disturbance = 0) {}
+    
+    /**
+     * Linearization about the upright/rest equilibrium, x' = Ax + Bu, y = Cx,
+     * in the same units as stateVector().
+     * @returns {{A: number[][], B: number[][], C: number[][]}}
+     */
+    linearize() {
+        return { A: [[0]], B: [[0]], C: [[1]] };
+    }
+    
+    /** Full state for state feedback, ordered as stateLabels */
+    stateVector() {
+        return [this.position];
+    }
+    
+    /**
+     * Kick the main degree of freedom.
+     * @param {number} amount - Impulse in [-1, 1]
+     */
+    applyImpulse(amount) {}
+    
+    /**
+     * Force the measured output and its rate, e.g. while the user drags the
+     * plant by hand. Other states are left alone.
+     * @param {number} position - Plant units
+     * @param {number} velocity - Plant units per second
+     */
+    place(position, velocity) {}
+    
+    /**
+     * Canvas point the user can grab, for the same view as render().
+     * @returns {{x: number, y: number}|null} null if the plant can't be dragged
+     */
+    handlePoint(view) {
+        return null;
+    }
+    
+    /**
+     * Draw the plant into the given region of the canvas.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {{x: number, y: number, width: number, height: number}} view
+     * @param {number} setpoint - Current target in plant units
+     */
+    render(ctx, view, setpoint) {}
+    
+    /**
+     * State to draw for a recorded sample, or null if the plant cannot show
+     * recordings. Unrecorded state is taken from the live plant.
+     * @param {{position: number, velocity: number, angle: number}} frame
+     * @returns {Object|null}
+     */
+    ghostState(frame) {
+        return null;
+    }
+    
+    /**
+     * Draw a recorded sample translucently over the live plant.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {{x: number, y: number, width: number, height: number}} view
+     * @param {Object} frame - Recorded sample (see RunRecorder.COLUMNS)
+     */
+    renderGhost(ctx, view, frame) {
+        const ghost = this.ghostState(frame);
+        if (!ghost) return;
+        
+        const live = this.state;
+        this.state = { ...live, ...ghost };
+        ctx.save();
+        ctx.globalAlpha = 0.3;
+        this.render(ctx, view, frame.setpoint);
+        ctx.restore();
+        this.state = live;
+    }
+    
+    /**
+     * Target picked by clicking the canvas, for the same view as render().
+     * @returns {number|null} Normalized setpoint, or null if the plant has none
+     */
+    setpointFromPoint(px, py, view) {
+        return null;
+    }
+    
+    /** Map a plant-unit value to [-1, 1] across the setpoint range */
+    toNormalized(value) {
+        const [min, max] = this.setpointRange;
+        return (2 * value - min - max) / (max - min);
+    }
+    
+    /** Map [-1, 1] to plant units across the setpoint range */
+    fromNormalized(n) {
+        const [min, max] = this.setpointRange;
+        return (min + max) / 2 + n * (max - min) / 2;
+    }
+    
+    get center() {
+        return this.fromNormalized(0);
+    }
+    
+    get halfRange() {
+        return (this.setpointRange[1] - this.setpointRange[0]) / 2;
+    }
+    
+    drawTargetTriangle(ctx, x, y) {
+        ctx.fillStyle = this.colors.setpoint;
+        ctx.shadowColor = this.colors.setpoint;
+        ctx.shadowBlur = 10;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x - 8, y - 10);
+        ctx.lineTo(x + 8, y - 10);
+        ctx.closePath();
+        ctx.fill();
+        ctx.shadowBlur = 0;
+    }
+}
+
+/**
+ * Hobby-servo model for the beam: deadband on the command, first-order
+ * response with a slew-rate limit, and backlash between the servo horn and
+ * the beam.
+ */
+class ServoActuator {
+    constructor() {
+        this.maxAngle = Math.PI / 6;          // 30 degrees max tilt
+        this.maxRate = 600 * Math.PI / 180;   // rad/s
+        this.deadband = 0;                    // fraction of full-scale command
+        this.backlash = 0;                    // rad of play at the horn
+        this.timeConstant = 0.16;             // s
+        this.reset();
+    }
+    
+    reset() {
+        this.motorAngle = 0;   // servo horn
+        this.angle = 0;        // beam, after backlash
+    }
+    
+    /**
+     * Advance the servo by one physics step.
+     * @param {number} command - Controller output in [-1, 1]
+     * @param {number} dt - Step length in seconds
+     * @returns {number} Beam angle in radians
+     */
+    step(command, dt) {
+        // Commands inside the deadband do nothing; outside it they are shifted
+        let effective = 0;
+        if (Math.abs(command) > this.deadband) {
+            effective = command - Math.sign(command) * this.deadband;
+        }
+        const target = Math.max(-1, Math.min(1, effective)) * this.maxAngle;
+        
+        // First-order lag, then slew-rate limit
+        const tau = Math.max(this.timeConstant, 1e-4);
+        let delta = (target - this.motorAngle) * (1 - Math.exp(-dt / tau));
+        const maxDelta = this.maxRate * dt;
+        delta = Math.max(-maxDelta, Math.min(maxDelta, delta));
+        this.motorAngle += delta;
+        
+        // Backlash: the beam only moves once the horn takes up the play
+        const play = this.backlash / 2;
+        if (this.motorAngle - this.angle > play) this.angle = this.motorAngle - play;
+        else if (this.angle - this.motorAngle > play) this.angle = this.motorAngle + play;
+        
+        return this.angle;
+    }
+}
+
+/**
+ * Ball rolling without slipping on a servo-tilted beam. Position is
+ * normalized to the ball's travel, from the center to either end stop.
+ */
+class BallBeamPlant extends Plant {
+    constructor(colors) {
+        super(colors);
+        this.name = 'Ball & beam';
+        this.defaultGains = { kP: 2, kI: 0.1, kD: 1.5 };
+        this.tuningRule = 'tyreusLuyben';  // Z–N gains leave the ball swinging end to end
+        this.impulseScale = 3;
+        this.disturbanceScale = 5;
+        
+        // Physical parameters (SI units)
+        this.ballMass = 0.05;      // kg
+        this.ballRadius = 0.02;    // m
+        this.hollow = false;       // thin-walled shell instead of a solid ball
+        this.beamLength = 0.6;     // m, end stop to end stop
+        this.viscous = 0.02;       // N·s/m, proportional to ball speed
+        this.coulomb = 0;          // rolling-resistance coefficient, force / normal force
+        this.gravity = 9.81;       // m/s^2
+        this.physicsKeys = ['ballMass', 'ballRadius', 'hollow', 'beamLength', 'viscous', 'coulomb', 'gravity'];
+        this.actuator = new ServoActuator();
+        
+        this.stateLabels = ['x', 'ẋ', 'θ'];
+        this.defaultQ = [20, 1, 0.1];
+        this.defaultR = 1;
+        this.defaultPoles = '-1.8±1.5j, -6';
+        
+        this.reset();
+    }
+    
+    get position() {
+        return this.state.pos;
+    }
+    
+    get velocity() {
+        return this.state.vel;
+    }
+    
+    get angle() {
+        return this.state.angle;
+    }
+    
+    /** Rotational inertia over m·r², 2/5 for a solid ball and 2/3 for a shell */
+    get inertiaRatio() {
+        return this.hollow ? 2 / 3 : 2 / 5;
+    }
+    
+    /** Distance in meters from the center to where the ball meets an end stop */
+    get travel() {
+        return Math.max(this.beamLength / 2 - this.ballRadius, 0.01);
+    }
+    
+    reset() {
+        this.state = {
+            pos: 0,      // -1 to 1, center is 0
+            vel: 0,      // travels per second
+            angle: 0     // beam angle, radians
+        };
+        this.actuator.reset();
+    }
+    
+    /**
+     * Rolling ball on a rotating beam, in meters along the beam:
+     *   m(1 + J/mr²)·ẍ = m·g·sin θ + m·x·θ̇² − c·ẋ − μ·m·g·cos θ·sgn ẋ
+     * The Coulomb term holds a resting ball until the other forces exceed it.
+     */
+    step(input, dt, disturbance = 0) {
+        const s = this.state;
+        
+        // Beam angle comes from the servo model
+        const lastAngle = s.angle;
+        s.angle = this.actuator.step(input, dt);
+        const beamRate = (s.angle - lastAngle) / dt;
+        
+        const m = this.ballMass;
+        const travel = this.travel;
+        const x = s.pos * travel;
+        const v = s.vel * travel;
+        
+        // Gravity along the beam, the centrifugal pull of the turning beam and viscous drag
+        const drive = m * (this.gravity * Math.sin(s.angle) + x * beamRate * beamRate) - this.viscous * v;
+        const rolling = this.coulomb * m * this.gravity * Math.cos(s.angle);
+        let force;
+        if (v !== 0) {
+            force = drive - rolling * Math.sign(v);
+        } else {
+            force = Math.abs(drive) > rolling ? drive - rolling * Math.sign(drive) : 0;
+        }
+        
+        // Back to travels, plus the disturbance
+        const acceleration = force / (m * (1 + this.inertiaRatio)) / travel + disturbance * this.disturbanceScale;
+        const vel = s.vel + acceleration * dt;
+        
+        // Rolling resistance stops the ball rather than reversing it
+        const stopped = rolling > 0 && s.vel !== 0 && Math.sign(vel) !== Math.sign(s.vel);
+        s.vel = stopped ? 0 : vel;
+        s.pos += s.vel * dt;
+        
+        // Boundary bounce
+        if (s.pos > 1) {
+            s.pos = 1;
+            s.vel *= -0.5;
+        } else if (s.pos < -1) {
+            s.pos = -1;
+            s.vel *= -0.5;
+        }
+    }
+    
+    linearize() {
+        // Deadband, rate limit, backlash and rolling resistance are left out of the linear model
+        const tau = Math.max(this.actuator.timeConstant, 1e-4);
+        const effMass = this.ballMass * (1 + this.inertiaRatio);
+        return {
+            A: [
+                [0, 1, 0],
+                [0, -this.viscous / effMass, this.ballMass * this.gravity / (effMass * this.travel)],   // sin(θ) ≈ θ
+                [0, 0, -1 / tau]
+            ],
+            B: [[0], [0], [this.actuator.maxAngle / tau]],
+            C: [[1, 0, 0]]
+        };
+    }
+    
+    stateVector() {
+        const s = this.state;
+        return [s.pos, s.vel, s.angle];
+    }
+    
+    applyImpulse(amount) {
+        this.state.vel += amount * this.impulseScale;
+    }
+    
+    ghostState(frame) {
+        return { pos: frame.position, vel: frame.velocity, angle: frame.angle };
+    }
+    
+    place(position, velocity) {
+        this.state.pos = Math.max(-1, Math.min(1, position));
+        this.state.vel = velocity;
+    }
+    
+    handlePoint(view) {
+        const cx = view.x + view.width / 2;
+        const cy = view.y + view.height / 2;
+        const beamLength = Math.min(view.width * 0.7, 350);
+        const ballX = this.state.pos * (beamLength / 2 - 30);
+        return {
+            x: cx + ballX * Math.cos(this.state.angle),
+            y: cy + ballX * Math.sin(this.state.angle) - this.ballPixels(beamLength) - 4
+        };
+    }
+    
+    /** Drawn ball radius, to scale with the beam within readable limits */
+    ballPixels(beamLength) {
+        return Math.max(5, Math.min(24, beamLength * this.ballRadius / this.beamLength));
+    }
+    
+    render(ctx, view, setpoint) {
+        const cx = view.x + view.width / 2;
+        const cy = view.y + view.height / 2;
+        const beamLength = Math.min(view.width * 0.7, 350);
+        
+        this.drawBeam(ctx, cx, cy, beamLength, 12);
+        this.drawBall(ctx, cx, cy, beamLength);
+        this.drawSetpointMarker(ctx, cx, cy, beamLength, setpoint);
+    }
+    
+    setpointFromPoint(px, py, view) {
+        const cx = view.x + view.width / 2;
+        const cy = view.y + view.height / 2;
+        const beamLength = Math.min(view.width * 0.7, 350);
+        
+        // Project the click onto the tilted beam
+        const angle = this.state.angle;
+        const along = (px - cx) * Math.cos(angle) + (py - cy) * Math.sin(angle);
+        return along / (beamLength / 2 - 30);
+    }
+    
+    drawBeam(ctx, cx, cy, length, height) {
+        ctx.save();
+        ctx.translate(cx, cy);
+        ctx.rotate(this.state.angle);
+        
+        // Beam shadow
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.beginPath();
+        ctx.ellipse(0, height + 5, length / 2, 8, 0, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Beam body
+        const gradient = ctx.createLinearGradient(0, -height, 0, height);
+        gradient.addColorStop(0, this.colors.beamHighlight);
+        gradient.addColorStop(0.5, this.colors.beam);
+        gradient.addColorStop(1, '#0f0f1a');
+        
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.roundRect(-length / 2, -height / 2, length, height, 4);
+        ctx.fill();
+        
+        // Beam edge highlight
+        ctx.strokeStyle = 'rgba(0, 240, 255, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(-length / 2 + 4, -height / 2);
+        ctx.lineTo(length / 2 - 4, -height / 2);
+        ctx.stroke();
+        
+        // Track groove
+        ctx.strokeStyle = 'rgba(0, 240, 255, 0.1)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(-length / 2 + 20, 0);
+        ctx.lineTo(length / 2 - 20, 0);
+        ctx.stroke();
+        
+        // End caps
+        ctx.fillStyle = this.colors.beam;
+        ctx.beginPath();
+        ctx.arc(-length / 2 + 10, 0, 6, 0, Math.PI * 2);
+        ctx.arc(length / 2 - 10, 0, 6, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.restore();
+        
+        // Pivot point (fixed, doesn't rotate)
+        ctx.fillStyle = this.colors.pivot;
+        ctx.shadowColor = this.colors.pivot;
+        ctx.shadowBlur = 15;
+        ctx.beginPath();
+        ctx.arc(cx, cy + height / 2 + 3, 8, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Pivot inner
+        ctx.fillStyle = '#0a0a0f';
+        ctx.shadowBlur = 0;
+        ctx.beginPath();
+        ctx.arc(cx, cy + height / 2 + 3, 4, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Base
+        ctx.fillStyle = '#1a1a2e';
+        ctx.beginPath();
+        ctx.moveTo(cx - 25, cy + height / 2 + 10);
+        ctx.lineTo(cx + 25, cy + height / 2 + 10);
+        ctx.lineTo(cx + 35, cy + height / 2 + 40);
+        ctx.lineTo(cx - 35, cy + height / 2 + 40);
+        ctx.closePath();
+        ctx.fill();
+        
+        ctx.strokeStyle = 'rgba(0, 240, 255, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+    
+    drawBall(ctx, cx, cy, beamLength) {
+        const angle = this.state.angle;
+        
+        // Calculate ball position on beam
+        const ballX = this.state.pos * (beamLength / 2 - 30);
+        const ballRadius = this.ballPixels(beamLength);
+        
+        // Transform to beam coordinates
+        const cosA = Math.cos(angle);
+        const sinA = Math.sin(angle);
+        
+        const worldX = cx + ballX * cosA;
+        const worldY = cy + ballX * sinA - ballRadius - 4;
+        
+        // Ball shadow on beam
+        ctx.save();
+        ctx.translate(cx, cy);
+        ctx.rotate(angle);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.beginPath();
+        ctx.ellipse(ballX, -2, ballRadius * 0.8, 4, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+        
+        // Ball glow
+        ctx.fillStyle = this.colors.ballGlow;
+        ctx.shadowColor = this.colors.ball;
+        ctx.shadowBlur = 25;
+        ctx.beginPath();
+        ctx.arc(worldX, worldY, ballRadius + 5, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Ball body, lit from the upper left
+        const glint = ballRadius * 0.3;
+        const ballGradient = ctx.createRadialGradient(
+            worldX - glint, worldY - glint, 2,
+            worldX, worldY, ballRadius
+        );
+        ballGradient.addColorStop(0, '#ffffff');
+        ballGradient.addColorStop(0.3, this.colors.ball);
+        ballGradient.addColorStop(1, '#0088aa');
+        
+        ctx.fillStyle = ballGradient;
+        ctx.shadowBlur = 0;
+        ctx.beginPath();
+        ctx.arc(worldX, worldY, ballRadius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Ball highlight
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.beginPath();
+        ctx.arc(worldX - glint, worldY - glint, ballRadius * 0.35, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
+    drawSetpointMarker(ctx, cx, cy, beamLength, setpoint) {
+        const markerX = setpoint * (beamLength / 2 - 30);
+        
+        ctx.save();
+        ctx.translate(cx, cy);
+        ctx.rotate(this.state.angle);
+        
+        // Setpoint indicator (triangle pointing down)
+        ctx.fillStyle = this.colors.setpoint;
+        ctx.shadowColor = this.colors.setpoint;
+        ctx.shadowBlur = 10;
+        
+        ctx.beginPath();
+        ctx.moveTo(markerX, -35);
+        ctx.lineTo(markerX - 8, -45);
+        ctx.lineTo(markerX + 8, -45);
+        ctx.closePath();
+        ctx.fill();
+        
+        // Dashed line to beam
+        ctx.strokeStyle = this.colors.setpoint;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.shadowBlur = 0;
+        ctx.beginPath();
+        ctx.moveTo(markerX, -35);
+        ctx.lineTo(markerX, -8);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        ctx.restore();
+    }
+}
+
+/**
+ * Inverted pendulum on a cart. The controller regulates the pole angle
+ * (radians from upright) by pushing the cart; the cart position itself is
+ * unregulated, so the track wraps around instead of ending in a wall.
+ */
+class CartPolePlant extends Plant {
+    constructor(colors) {
+        super(colors);
+        this.name = 'Cart-pole';
+        this.measurementLabel = 'Angle';
+        this.setpointRange = [-0.15, 0.15];
+        this.defaultGains = { kP: 3, kI: 1, kD: 0.5 };
+        this.relayTunable = false;  // the pole falls over under bang-bang output
+        this.impulseScale = 0.6;
+        this.disturbanceScale = 3;
+        
+        this.cartMass = 1.0;       // kg
+        this.poleMass = 0.2;       // kg, concentrated at the tip
+        this.poleLength = 0.5;     // m
+        this.maxForce = 20;        // N at full controller output
+        this.gravity = 9.81;
+        this.trackHalfLength = 2;  // m, wraps around
+        
+        this.stateLabels = ['x', 'ẋ', 'θ', 'θ̇'];
+        this.defaultQ = [1, 1, 50, 1];
+        this.defaultR = 0.1;
+        this.defaultPoles = '-3±1j, -4±2j';
+        
+        this.reset();
+    }
+    
+    get position() {
+        return this.state.theta;
+    }
+    
+    get velocity() {
+        return this.state.thetaDot;
+    }
+    
+    get angle() {
+        return this.state.theta;
+    }
+    
+    reset() {
+        this.state = {
+            x: 0,        // cart position, m
+            xDot: 0,
+            theta: 0,    // pole angle from upright, rad (positive leans right)
+            thetaDot: 0
+        };
+    }
+    
+    step(input, dt, disturbance = 0) {
+        const s = this.state;
+        const M = this.cartMass;
+        const m = this.poleMass;
+        const l = this.poleLength;
+        const g = this.gravity;
+        
+        // Positive output tilts the pole towards positive angles by pulling the cart back
+        const force = -input * this.maxForce;
+        const sinT = Math.sin(s.theta);
+        const cosT = Math.cos(s.theta);
+        
+        const xAcc = (force + m * sinT * (l * s.thetaDot * s.thetaDot - g * cosT)) / (M + m * sinT * sinT);
+        const thetaAcc = (g * sinT - xAcc * cosT) / l + disturbance * this.disturbanceScale;
+        
+        s.xDot += xAcc * dt;
+        s.thetaDot += thetaAcc * dt;
+        s.x += s.xDot * dt;
+        s.theta += s.thetaDot * dt;
+        
+        // Wrap the track
+        const L = this.trackHalfLength;
+        if (s.x > L) s.x -= 2 * L;
+        else if (s.x < -L) s.x += 2 * L;
+        
+        // A fallen pole rests on the cart
+        if (Math.abs(s.theta) > Math.PI / 2) {
+            s.theta = Math.sign(s.theta) * Math.PI / 2;
+            s.thetaDot = 0;
+        }
+    }
+    
+    linearize() {
+        const M = this.cartMass;
+        const m = this.poleMass;
+        const l = this.poleLength;
+        const g = this.gravity;
+        const F = this.maxForce;
+        return {
+            A: [
+                [0, 1, 0, 0],
+                [0, 0, -m * g / M, 0],
+                [0, 0, 0, 1],
+                [0, 0, g * (M + m) / (M * l), 0]
+            ],
+            // Force is -input * maxForce
+            B: [[0], [-F / M], [0], [F / (M * l)]],
+            C: [[0, 0, 1, 0]]
+        };
+    }
+    
+    stateVector() {
+        const s = this.state;
+        return [s.x, s.xDot, s.theta, s.thetaDot];
+    }
+    
+    applyImpulse(amount) {
+        this.state.thetaDot += amount * this.impulseScale;
+    }
+    
+    ghostState(frame) {
+        // The cart position is not recorded; the ghost pole rides the live cart
+        return { theta: frame.position, thetaDot: frame.velocity };
+    }
+    
+    place(position, velocity) {
+        this.state.theta = position;
+        this.state.thetaDot = velocity;
+    }
+    
+    handlePoint(view) {
+        const cx = view.x + view.width / 2;
+        const trackY = view.y + view.height * 0.8;
+        const trackWidth = Math.min(view.width * 0.8, 420);
+        const cartX = cx + this.state.x * trackWidth / (2 * this.trackHalfLength);
+        const pivotY = trackY - 28;
+        const poleLength = Math.min(view.height * 0.6, 110);
+        return {
+            x: cartX + Math.sin(this.state.theta) * poleLength,
+            y: pivotY - Math.cos(this.state.theta) * poleLength
+        };
+    }
+    
+    render(ctx, view, setpoint) {
+        const s = this.state;
+        const cx = view.x + view.width / 2;
+        const trackY = view.y + view.height * 0.8;
+        const trackWidth = Math.min(view.width * 0.8, 420);
+        const scale = trackWidth / (2 * this.trackHalfLength);
+        const poleLength = Math.min(view.height * 0.6, 110);
+        
+        // Track
+        ctx.strokeStyle = 'rgba(0, 240, 255, 0.2)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(cx - trackWidth / 2, trackY);
+        ctx.lineTo(cx + trackWidth / 2, trackY);
+        ctx.stroke();
+        
+        // Cart
+        const cartX = cx + s.x * scale;
+        const cartW = 50;
+        const cartH = 22;
+        const pivotY = trackY - cartH - 6;
+        
+        const gradient = ctx.createLinearGradient(0, pivotY, 0, trackY);
+        gradient.addColorStop(0, this.colors.beamHighlight);
+        gradient.addColorStop(1, this.colors.beam);
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.roundRect(cartX - cartW / 2, pivotY + 2, cartW, cartH, 4);
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(0, 240, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        
+        // Wheels
+        ctx.fillStyle = this.colors.beam;
+        ctx.beginPath();
+        ctx.arc(cartX - cartW / 3, trackY - 4, 5, 0, Math.PI * 2);
+        ctx.arc(cartX + cartW / 3, trackY - 4, 5, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Target pole (ghost)
+        ctx.strokeStyle = this.colors.setpoint;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(cartX, pivotY);
+        ctx.lineTo(cartX + Math.sin(setpoint) * poleLength, pivotY - Math.cos(setpoint) * poleLength);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Pole
+        const tipX = cartX + Math.sin(s.theta) * poleLength;
+        const tipY = pivotY - Math.cos(s.theta) * poleLength;
+        ctx.strokeStyle = this.colors.ball;
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(cartX, pivotY);
+        ctx.lineTo(tipX, tipY);
+        ctx.stroke();
+        ctx.lineCap = 'butt';
+        
+        // Tip mass
+        ctx.fillStyle = this.colors.ball;
+        ctx.shadowColor = this.colors.ball;
+        ctx.shadowBlur = 20;
+        ctx.beginPath();
+        ctx.arc(tipX, tipY, 9, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Pivot
+        ctx.fillStyle = this.colors.pivot;
+        ctx.shadowColor = this.colors.pivot;
+        ctx.shadowBlur = 10;
+        ctx.beginPath();
+        ctx.arc(cartX, pivotY, 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+    }
+    
+    setpointFromPoint(px, py, view) {
+        const cx = view.x + view.width / 2;
+        const trackY = view.y + view.height * 0.8;
+        const trackWidth = Math.min(view.width * 0.8, 420);
+        const cartX = cx + this.state.x * trackWidth / (2 * this.trackHalfLength);
+        const pivotY = trackY - 28;
+        
+        // Lean the target pole towards the click
+        return this.toNormalized(Math.atan2(px - cartX, pivotY - py));
+    }
+}
+
+/**
+ * Armature-controlled DC motor in a position loop. Output is the shaft
+ * angle in radians; the controller commands the armature voltage.
+ */
+class DCMotorPlant extends Plant {
+    constructor(colors) {
+        super(colors);
+        this.name = 'DC motor';
+        this.measurementLabel = 'Angle';
+        this.setpointRange = [-Math.PI, Math.PI];
+        this.defaultGains = { kP: 2, kI: 0.5, kD: 0.2 };
+        this.impulseScale = 3;
+        this.disturbanceScale = 15;
+        
+        this.damping = 4;          // b/J, 1/s (mechanical time constant 0.25 s)
+        this.gain = 20;            // K/J, rad/s^2 at full voltage
+        
+        this.stateLabels = ['θ', 'ω'];
+        this.defaultQ = [10, 0.1];
+        this.defaultR = 1;
+        this.defaultPoles = '-5±3j';
+        
+        this.reset();
+    }
+    
+    get position() {
+        return this.state.angle;
+    }
+    
+    get velocity() {
+        return this.state.omega;
+    }
+    
+    get angle() {
+        return this.state.angle;
+    }
+    
+    reset() {
+        this.state = {
+            angle: 0,    // rad
+            omega: 0     // rad/s
+        };
+    }
+    
+    step(input, dt, disturbance = 0) {
+        const s = this.state;
+        const acceleration = this.gain * input - this.damping * s.omega + disturbance * this.disturbanceScale;
+        s.omega += acceleration * dt;
+        s.angle += s.omega * dt;
+    }
+    
+    linearize() {
+        return {
+            A: [[0, 1], [0, -this.damping]],
+            B: [[0], [this.gain]],
+            C: [[1, 0]]
+        };
+    }
+    
+    stateVector() {
+        return [this.state.angle, this.state.omega];
+    }
+    
+    applyImpulse(amount) {
+        this.state.omega += amount * this.impulseScale;
+    }
+    
+    ghostState(frame) {
+        return { angle: frame.position, omega: frame.velocity };
+    }
+    
+    place(position, velocity) {
+        // Stay on the same turn as the shaft, so a drag doesn't unwind it
+        const turns = Math.round((this.state.angle - position) / (2 * Math.PI));
+        this.state.angle = position + turns * 2 * Math.PI;
+        this.state.omega = velocity;
+    }
+    
+    handlePoint(view) {
+        const cx = view.x + view.width / 2;
+        const cy = view.y + view.height / 2;
+        const radius = Math.min(view.height * 0.38, 70);
+        return {
+            x: cx + Math.sin(this.state.angle) * radius * 0.8,
+            y: cy - Math.cos(this.state.angle) * radius * 0.8
+        };
+    }
+    
+    render(ctx, view, setpoint) {
+        const cx = view.x + view.width / 2;
+        const cy = view.y + view.height / 2;
+        const radius = Math.min(view.height * 0.38, 70);
+        
+        // Housing
+        const gradient = ctx.createRadialGradient(cx, cy, radius * 0.2, cx, cy, radius);
+        gradient.addColorStop(0, this.colors.beamHighlight);
+        gradient.addColorStop(1, this.colors.beam);
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(0, 240, 255, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        
+        // Scale ticks every 45 degrees
+        ctx.strokeStyle = 'rgba(0, 240, 255, 0.25)';
+        ctx.beginPath();
+        for (let i = 0; i < 8; i++) {
+            const a = i * Math.PI / 4;
+            ctx.moveTo(cx + Math.sin(a) * radius * 0.85, cy - Math.cos(a) * radius * 0.85);
+            ctx.lineTo(cx + Math.sin(a) * radius, cy - Math.cos(a) * radius);
+        }
+        ctx.stroke();
+        
+        // Target marker on the rim (angle 0 points up, positive is clockwise)
+        const markerR = radius + 14;
+        this.drawTargetTriangle(
+            ctx,
+            cx + Math.sin(setpoint) * (radius + 2),
+            cy - Math.cos(setpoint) * (radius + 2)
+        );
+        ctx.strokeStyle = this.colors.setpoint;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(cx + Math.sin(setpoint) * markerR, cy - Math.cos(setpoint) * markerR);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Shaft needle
+        const angle = this.state.angle;
+        ctx.strokeStyle = this.colors.ball;
+        ctx.shadowColor = this.colors.ball;
+        ctx.shadowBlur = 15;
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(cx + Math.sin(angle) * radius * 0.8, cy - Math.cos(angle) * radius * 0.8);
+        ctx.stroke();
+        ctx.lineCap = 'butt';
+        
+        // Hub
+        ctx.fillStyle = this.colors.pivot;
+        ctx.shadowColor = this.colors.pivot;
+        ctx.beginPath();
+        ctx.arc(cx, cy, 7, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+    }
+    
+    setpointFromPoint(px, py, view) {
+        const cx = view.x + view.width / 2;
+        const cy = view.y + view.height / 2;
+        return this.toNormalized(Math.atan2(px - cx, cy - py));
+    }
+}
+
+/**
+ * Lightly damped mass-spring-damper pushed by a force actuator.
+ * Output is the mass displacement in metres.
+ */
+class MassSpringDamperPlant extends Plant {
+    constructor(colors) {
+        super(colors);
+        this.name = 'Mass-spring-damper';
+        this.defaultGains = { kP: 2, kI: 1, kD: 0.7 };
+        this.impulseScale = 1.5;
+        this.disturbanceScale = 5;
+        
+        this.mass = 1;             // kg
+        this.stiffness = 4;        // N/m (natural frequency 2 rad/s)
+        this.dampingCoeff = 0.4;   // N·s/m (damping ratio 0.1)
+        this.maxForce = 8;         // N at full controller output
+        
+        this.stateLabels = ['x', 'ẋ'];
+        this.defaultQ = [20, 1];
+        this.defaultR = 1;
+        this.defaultPoles = '-3±2j';
+        
+        this.reset();
+    }
+    
+    get position() {
+        return this.state.x;
+    }
+    
+    get velocity() {
+        return this.state.v;
+    }
+    
+    reset() {
+        this.state = {
+            x: 0,        // m
+            v: 0         // m/s
+        };
+    }
+    
+    step(input, dt, disturbance = 0) {
+        const s = this.state;
+        const force = input * this.maxForce - this.stiffness * s.x - this.dampingCoeff * s.v;
+        s.v += (force / this.mass + disturbance * this.disturbanceScale) * dt;
+        s.x += s.v * dt;
+    }
+    
+    linearize() {
+        const m = this.mass;
+        return {
+            A: [[0, 1], [-this.stiffness / m, -this.dampingCoeff / m]],
+            B: [[0], [this.maxForce / m]],
+            C: [[1, 0]]
+        };
+    }
+    
+    stateVector() {
+        return [this.state.x, this.state.v];
+    }
+    
+    applyImpulse(amount) {
+        this.state.v += amount * this.impulseScale;
+    }
+    
+    ghostState(frame) {
+        return { x: frame.position, v: frame.velocity };
+    }
+    
+    place(position, velocity) {
+        this.state.x = position;
+        this.state.v = velocity;
+    }
+    
+    handlePoint(view) {
+        const span = Math.min(view.width * 0.3, 170);
+        return {
+            x: view.x + view.width / 2 + this.state.x * span,
+            y: view.y + view.height / 2 + 10
+        };
+    }
+    
+    render(ctx, view, setpoint) {
+        const cx = view.x + view.width / 2;
+        const cy = view.y + view.height / 2 + 10;
+        const span = Math.min(view.width * 0.3, 170);
+        const wallX = cx - span - 70;
+        const massSize = 40;
+        const massX = cx + this.state.x * span;
+        
+        // Ground and wall
+        ctx.strokeStyle = 'rgba(0, 240, 255, 0.2)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(wallX, cy - 40);
+        ctx.lineTo(wallX, cy + massSize / 2);
+        ctx.lineTo(cx + span + 50, cy + massSize / 2);
+        ctx.stroke();
+        
+        // Spring (zig-zag) on the upper attachment
+        const springY = cy - 8;
+        const springEnd = massX - massSize / 2;
+        const coils = 10;
+        ctx.strokeStyle = this.colors.pivot;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(wallX, springY);
+        for (let i = 1; i < coils; i++) {
+            const px = wallX + (springEnd - wallX) * i / coils;
+            ctx.lineTo(px, springY + (i % 2 ? -7 : 7));
+        }
+        ctx.lineTo(springEnd, springY);
+        ctx.stroke();
+        
+        // Damper (dashpot) on the lower attachment
+        const damperY = cy + 10;
+        const cylStart = wallX + 30;
+        const cylEnd = cylStart + 40;
+        ctx.strokeStyle = 'rgba(0, 240, 255, 0.5)';
+        ctx.beginPath();
+        ctx.moveTo(wallX, damperY);
+        ctx.lineTo(cylStart, damperY);
+        ctx.moveTo(cylStart, damperY - 6);
+        ctx.lineTo(cylEnd, damperY - 6);
+        ctx.moveTo(cylStart, damperY + 6);
+        ctx.lineTo(cylEnd, damperY + 6);
+        ctx.moveTo(cylStart, damperY - 6);
+        ctx.lineTo(cylStart, damperY + 6);
+        const pistonX = Math.min(Math.max(springEnd - 40, cylStart + 4), cylEnd);
+        ctx.moveTo(pistonX, damperY - 4);
+        ctx.lineTo(pistonX, damperY + 4);
+        ctx.moveTo(pistonX, damperY);
+        ctx.lineTo(springEnd, damperY);
+        ctx.stroke();
+        
+        // Mass
+        const gradient = ctx.createLinearGradient(0, cy - massSize / 2, 0, cy + massSize / 2);
+        gradient.addColorStop(0, '#ffffff');
+        gradient.addColorStop(0.2, this.colors.ball);
+        gradient.addColorStop(1, '#0088aa');
+        ctx.fillStyle = gradient;
+        ctx.shadowColor = this.colors.ball;
+        ctx.shadowBlur = 15;
+        ctx.beginPath();
+        ctx.roundRect(massX - massSize / 2, cy - massSize / 2, massSize, massSize, 4);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+        
+        // Target marker
+        const targetX = cx + setpoint * span;
+        this.drawTargetTriangle(ctx, targetX, cy - massSize / 2 - 12);
+        ctx.strokeStyle = this.colors.setpoint;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(targetX, cy - massSize / 2 - 12);
+        ctx.lineTo(targetX, cy + massSize / 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    setpointFromPoint(px, py, view) {
+        const cx = view.x + view.width / 2;
+        const span = Math.min(view.width * 0.3, 170);
+        return this.toNormalized((px - cx) / span);
+    }
+}
+
+// Plants offered by the selector, keyed by data-plant
+const PID_PLANTS = {
+    ballBeam: BallBeamPlant,
+    cartPole: CartPolePlant,
+    dcMotor: DCMotorPlant,
+    massSpring: MassSpringDamperPlant
+};
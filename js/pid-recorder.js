@@ -0,0 +1,159 @@
+/**
+ * Run recorder for the PID demo
+ * Captures every controller sample of a run, without the graph's history
+ * cap, and reads recordings back for replay. Recordings travel as CSV (one
+ * row per sample, `# key=value` header lines for metadata) or JSON.
+ */
+
+class RunRecorder {
+    constructor() {
+        this.maxDuration = 30 * 60;    // seconds, whatever the controller sample rate
+        this.isRecording = false;
+        this.startTime = 0;
+        this.meta = {};
+        this.frames = [];
+    }
+    
+    /**
+     * Start a new recording, discarding the previous one.
+     * @param {number} t - Simulation time the recording starts at
+     * @param {Object} meta - Run settings to store with the series
+     */
+    start(t, meta = {}) {
+        this.isRecording = true;
+        this.startTime = t;
+        this.meta = meta;
+        this.frames = [];
+    }
+    
+    stop() {
+        this.isRecording = false;
+    }
+    
+    /**
+     * Append one sample while recording.
+     * @param {number} t - Simulation time in seconds
+     * @param {Object} values - One value per column other than t
+     */
+    record(t, values) {
+        if (!this.isRecording) return;
+        
+        const frame = { t: t - this.startTime };
+        RunRecorder.COLUMNS.slice(1).forEach(key => { frame[key] = values[key]; });
+        this.frames.push(frame);
+        
+        if (frame.t >= this.maxDuration) this.stop();
+    }
+    
+    get duration() {
+        return this.frames.length ? this.frames[this.frames.length - 1].t : 0;
+    }
+    
+    toCSV() {
+        const lines = Object.entries(this.meta).map(([key, value]) => `# ${key}=${value}`);
+        lines.push(RunRecorder.COLUMNS.join(','));
+        this.frames.forEach(frame => {
+            lines.push(RunRecorder.COLUMNS.map(key => RunRecorder.round(frame[key])).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+    
+    toJSON() {
+        const frames = this.frames.map(frame => {
+            const rounded = {};
+            RunRecorder.COLUMNS.forEach(key => { rounded[key] = RunRecorder.round(frame[key]); });
+            return rounded;
+        });
+        return JSON.stringify({ version: 1, meta: this.meta, frames });
+    }
+    
+    /** Six decimals is well below anything the demo can resolve */
+    static round(value) {
+        return +value.toFixed(6);
+    }
+    
+    /**
+     * Read a recording exported by toCSV() or toJSON().
+     * @param {string} text - File contents
+     * @returns {{meta: Object, frames: Object[]}|null} null if unreadable
+     */
+    static parse(text) {
+        const trimmed = text.trim();
+        let recording;
+        
+        if (trimmed.startsWith('{')) {
+            try {
+                const data = JSON.parse(trimmed);
+                if (!Array.isArray(data.frames)) return null;
+                const meta = data.meta && typeof data.meta === 'object' ? data.meta : {};
+                recording = { meta, frames: data.frames };
+            } catch (e) {
+                return null;
+            }
+        } else {
+            recording = RunRecorder.parseCSV(trimmed);
+        }
+        
+        if (!recording || recording.frames.length < 2) return null;
+        
+        // Every column numeric, and times in order for frameAt's binary search
+        const valid = recording.frames.every((frame, i, frames) =>
+            !!frame && typeof frame === 'object' &&
+            RunRecorder.COLUMNS.every(key => typeof frame[key] === 'number' && isFinite(frame[key])) &&
+            (i === 0 || frame.t >= frames[i - 1].t)
+        );
+        return valid ? recording : null;
+    }
+    
+    static parseCSV(text) {
+        const meta = {};
+        const frames = [];
+        let header = null;
+        
+        for (const line of text.split(/\r?\n/).map(l => l.trim()).filter(Boolean)) {
+            if (line.startsWith('#')) {
+                const [key, ...rest] = line.slice(1).split('=');
+                if (rest.length) meta[key.trim()] = rest.join('=').trim();
+            } else if (!header) {
+                header = line.split(',').map(h => h.trim());
+            } else {
+                const cells = line.split(',').map(Number);
+                const frame = {};
+                header.forEach((key, i) => { frame[key] = cells[i]; });
+                frames.push(frame);
+            }
+        }
+        
+        return header ? { meta, frames } : null;
+    }
+    
+    /**
+     * Sample of a recording at time t, linearly interpolated.
+     * @param {Object[]} frames - Frames sorted by time
+     * @param {number} t - Seconds from the start of the recording
+     * @returns {Object|null} null past the end of the recording
+     */
+    static frameAt(frames, t) {
+        if (t > frames[frames.length - 1].t) return null;
+        if (t <= frames[0].t) return frames[0];
+        
+        // Binary search for the last frame at or before t
+        let lo = 0;
+        let hi = frames.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (frames[mid].t <= t) lo = mid;
+            else hi = mid;
+        }
+        
+        const a = frames[lo];
+        const b = frames[hi];
+        const f = b.t > a.t ? (t - a.t) / (b.t - a.t) : 0;
+        const frame = {};
+        RunRecorder.COLUMNS.forEach(key => { frame[key] = a[key] + (b[key] - a[key]) * f; });
+        return frame;
+    }
+}
+
+// Recorded columns, in CSV order
+RunRecorder.COLUMNS = ['t', 'setpoint', 'position', 'velocity', 'angle', 'p', 'i', 'd', 'output'];
@@ -0,0 +1,301 @@
+/**
+ * Oscilloscope-style graph for the PID demo
+ * Keeps a time-stamped buffer of named channels and draws the visible
+ * window with an auto-scaled y-axis, a time axis in seconds and a hover
+ * cursor. The buffer keeps filling while the view is paused. Channels held
+ * between controller samples draw as staircases; sampled values as dots.
+ */
+
+class Scope {
+    /**
+     * @param {Array<{key: string, label: string, color: string, enabled?: boolean, dashed?: boolean, stairs?: boolean, dots?: boolean}>} channels
+     */
+    constructor(channels) {
+        this.channels = channels.map(c => ({ enabled: true, dashed: false, stairs: false, dots: false, ...c }));
+        this.bufferSeconds = 60;   // history kept for zooming out
+        this.span = 4;             // visible window, seconds
+        this.minSpan = 0.5;
+        this.maxSpan = 60;
+        this.isPaused = false;
+        this.pausedAt = 0;         // right edge of the view while paused
+        this.cursorX = null;       // hover position in canvas pixels
+        this.rect = null;          // plot area from the last draw, for hit tests
+        this.clear();
+    }
+    
+    clear() {
+        this.times = [];
+        this.data = {};
+        this.channels.forEach(c => { this.data[c.key] = []; });
+    }
+    
+    channel(key) {
+        return this.channels.find(c => c.key === key);
+    }
+    
+    /**
+     * Append one sample. Missing or null values leave a gap in that channel.
+     * @param {number} t - Time in seconds
+     * @param {Object<string, number|null>} values - One value per channel key
+     */
+    push(t, values) {
+        this.times.push(t);
+        this.channels.forEach(c => {
+            const v = values[c.key];
+            this.data[c.key].push(v === undefined ? null : v);
+        });
+        
+        // Drop samples older than the buffer, a second's worth at a time
+        if (this.times[0] >= t - this.bufferSeconds - 1) return;
+        let drop = 0;
+        while (drop < this.times.length && this.times[drop] < t - this.bufferSeconds) drop++;
+        if (drop > 0) {
+            this.times.splice(0, drop);
+            this.channels.forEach(c => this.data[c.key].splice(0, drop));
+        }
+    }
+    
+    setPaused(paused) {
+        this.isPaused = paused;
+        if (paused) this.pausedAt = this.latestTime;
+    }
+    
+    /** Multiply the visible span, e.g. 0.8 to zoom in */
+    zoom(factor) {
+        this.span = Math.max(this.minSpan, Math.min(this.maxSpan, this.span * factor));
+    }
+    
+    get latestTime() {
+        return this.times.length ? this.times[this.times.length - 1] : 0;
+    }
+    
+    /** [start, end] of the visible window in seconds */
+    get window() {
+        const end = this.isPaused ? this.pausedAt : Math.max(this.latestTime, this.span);
+        return [end - this.span, end];
+    }
+    
+    /** Index range of samples inside the visible window */
+    visibleRange() {
+        const [start, end] = this.window;
+        let first = 0;
+        while (first < this.times.length && this.times[first] < start) first++;
+        let last = this.times.length - 1;
+        while (last >= first && this.times[last] > end) last--;
+        return [first, last];
+    }
+    
+    /**
+     * Y range over the enabled channels in view, widened to whole ticks.
+     * @returns {{min: number, max: number, step: number}}
+     */
+    autoscale(first, last) {
+        let min = Infinity;
+        let max = -Infinity;
+        this.channels.forEach(c => {
+            if (!c.enabled) return;
+            const values = this.data[c.key];
+            for (let i = first; i <= last; i++) {
+                const v = values[i];
+                if (v === null || !isFinite(v)) continue;
+                if (v < min) min = v;
+                if (v > max) max = v;
+            }
+        });
+        
+        if (min === Infinity) {
+            min = -1;
+            max = 1;
+        }
+        if (max - min < 1e-6) {
+            const pad = Math.max(Math.abs(max) * 0.1, 0.1);
+            min -= pad;
+            max += pad;
+        }
+        
+        const step = Scope.niceStep((max - min) / 4);
+        return { min: Math.floor(min / step) * step, max: Math.ceil(max / step) * step, step };
+    }
+    
+    /** Round a raw tick spacing to 1, 2 or 5 times a power of ten */
+    static niceStep(raw) {
+        const power = Math.pow(10, Math.floor(Math.log10(raw)));
+        const fraction = raw / power;
+        if (fraction <= 1) return power;
+        if (fraction <= 2) return 2 * power;
+        if (fraction <= 5) return 5 * power;
+        return 10 * power;
+    }
+    
+    static formatTick(value, step) {
+        const digits = Math.max(0, -Math.floor(Math.log10(step)));
+        return (Math.abs(value) < step / 2 ? 0 : value).toFixed(digits);
+    }
+    
+    /**
+     * Draw the scope into a rectangle of the canvas.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {{x: number, y: number, width: number, height: number}} area
+     * @param {Object} style - { background, grid, text }
+     */
+    draw(ctx, area, style) {
+        const { x, y, width, height } = area;
+        
+        // Background
+        ctx.fillStyle = style.background;
+        ctx.beginPath();
+        ctx.roundRect(x, y, width, height, 6);
+        ctx.fill();
+        ctx.strokeStyle = style.grid;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        
+        // Plot area inside the axis labels
+        const plot = { x: x + 40, y: y + 8, width: width - 48, height: height - 24 };
+        this.rect = plot;
+        
+        const [first, last] = this.visibleRange();
+        const { min, max, step } = this.autoscale(first, last);
+        const [start, end] = this.window;
+        const toX = t => plot.x + (t - start) / (end - start) * plot.width;
+        const toY = v => plot.y + plot.height - (v - min) / (max - min) * plot.height;
+        
+        // Y grid and labels
+        ctx.font = '10px JetBrains Mono, monospace';
+        ctx.textAlign = 'right';
+        ctx.strokeStyle = style.grid;
+        ctx.fillStyle = style.text;
+        ctx.beginPath();
+        for (let v = min; v <= max + step / 2; v += step) {
+            const py = toY(v);
+            ctx.moveTo(plot.x, py);
+            ctx.lineTo(plot.x + plot.width, py);
+            ctx.fillText(Scope.formatTick(v, step), plot.x - 4, py + 3);
+        }
+        
+        // Time grid and labels
+        const tStep = Scope.niceStep(this.span / 5);
+        ctx.textAlign = 'center';
+        for (let t = Math.ceil(start / tStep) * tStep; t <= end; t += tStep) {
+            const px = toX(t);
+            ctx.moveTo(px, plot.y);
+            ctx.lineTo(px, plot.y + plot.height);
+            ctx.fillText(Scope.formatTick(t, tStep) + 's', px, y + height - 4);
+        }
+        ctx.stroke();
+        ctx.textAlign = 'left';
+        
+        // Traces, clipped to the plot area
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(plot.x, plot.y, plot.width, plot.height);
+        ctx.clip();
+        [...this.channels].reverse().forEach(c => {   // main trace on top
+            if (!c.enabled) return;
+            ctx.strokeStyle = c.color;
+            ctx.lineWidth = c.key === this.channels[0].key ? 2 : 1.25;
+            ctx.setLineDash(c.dashed ? [4, 3] : []);
+            if (c.dots) this.plotDots(ctx, c.color, this.data[c.key], first, last, toX, toY);
+            else this.plotChannel(ctx, this.data[c.key], first, last, toX, toY, c.stairs);
+        });
+        ctx.setLineDash([]);
+        
+        // Live end of the main trace
+        const main = this.channels[0];
+        const lastValue = this.data[main.key][last];
+        if (main.enabled && !this.isPaused && last >= first && lastValue !== null) {
+            ctx.fillStyle = main.color;
+            ctx.beginPath();
+            ctx.arc(toX(this.times[last]), toY(lastValue), 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+        
+        if (this.isPaused) {
+            ctx.fillStyle = style.text;
+            ctx.fillText('❚❚ paused', plot.x + 4, plot.y + 10);
+        }
+        
+        this.drawCursor(ctx, plot, first, last, toX, start, end);
+    }
+    
+    plotChannel(ctx, values, first, last, toX, toY, stairs) {
+        // null entries leave a gap in the trace
+        ctx.beginPath();
+        let penDown = false;
+        for (let i = first; i <= last; i++) {
+            if (values[i] === null) {
+                penDown = false;
+                continue;
+            }
+            const px = toX(this.times[i]);
+            const py = toY(values[i]);
+            if (!penDown) {
+                ctx.moveTo(px, py);
+            } else if (stairs) {
+                // Hold the previous value until this sample (zero-order hold)
+                ctx.lineTo(px, toY(values[i - 1]));
+                ctx.lineTo(px, py);
+            } else {
+                ctx.lineTo(px, py);
+            }
+            penDown = true;
+        }
+        ctx.stroke();
+    }
+    
+    plotDots(ctx, color, values, first, last, toX, toY) {
+        ctx.fillStyle = color;
+        for (let i = first; i <= last; i++) {
+            if (values[i] === null) continue;
+            ctx.beginPath();
+            ctx.arc(toX(this.times[i]), toY(values[i]), 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+    
+    /** Vertical cursor with a readout of every enabled channel at that time */
+    drawCursor(ctx, plot, first, last, toX, start, end) {
+        if (this.cursorX === null || last < first) return;
+        if (this.cursorX < plot.x || this.cursorX > plot.x + plot.width) return;
+        
+        // Nearest sample to the cursor
+        const t = start + (this.cursorX - plot.x) / plot.width * (end - start);
+        let index = first;
+        for (let i = first; i <= last; i++) {
+            if (Math.abs(this.times[i] - t) < Math.abs(this.times[index] - t)) index = i;
+        }
+        const px = toX(this.times[index]);
+        
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(px, plot.y);
+        ctx.lineTo(px, plot.y + plot.height);
+        ctx.stroke();
+        
+        const rows = [[`t ${this.times[index].toFixed(2)} s`, 'rgba(255, 255, 255, 0.8)']];
+        this.channels.forEach(c => {
+            const v = this.data[c.key][index];
+            if (c.enabled && v !== null) rows.push([`${c.label} ${v.toFixed(3)}`, c.color]);
+        });
+        
+        // Readout box on whichever side of the cursor has room
+        const boxWidth = 110;
+        const boxHeight = rows.length * 12 + 6;
+        const boxX = px + boxWidth + 8 > plot.x + plot.width ? px - boxWidth - 6 : px + 6;
+        ctx.fillStyle = 'rgba(10, 10, 15, 0.85)';
+        ctx.fillRect(boxX, plot.y, boxWidth, boxHeight);
+        ctx.font = '10px JetBrains Mono, monospace';
+        rows.forEach(([text, color], i) => {
+            ctx.fillStyle = color;
+            ctx.fillText(text, boxX + 5, plot.y + 13 + i * 12);
+        });
+    }
+    
+    /** Whether a canvas point lies over the plot area of the last draw */
+    contains(px, py) {
+        const r = this.rect;
+        return !!r && px >= r.x && px <= r.x + r.width && py >= r.y && py <= r.y + r.height;
+    }
+}
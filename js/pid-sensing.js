@@ -0,0 +1,131 @@
+/**
+ * Sensor and estimator models for the PID demo
+ * The sensor corrupts the true plant output with Gaussian noise,
+ * quantization and a transport delay; the estimator turns the raw samples
+ * back into the value the controller acts on.
+ */
+
+class SensorModel {
+    constructor() {
+        this.noiseStd = 0;       // standard deviation, plant units
+        this.quantization = 0;   // step size, plant units (0 = ideal ADC)
+        this.delaySamples = 0;   // transport delay in controller samples
+        this.reset();
+    }
+    
+    reset() {
+        this.buffer = [];
+    }
+    
+    get isIdeal() {
+        return this.noiseStd === 0 && this.quantization === 0 && this.delaySamples === 0;
+    }
+    
+    /**
+     * Sample the sensor once.
+     * @param {number} value - True plant output
+     * @returns {number} What the sensor reports this sample
+     */
+    measure(value) {
+        let reading = value + this.noiseStd * SensorModel.gaussian();
+        if (this.quantization > 0) {
+            reading = Math.round(reading / this.quantization) * this.quantization;
+        }
+        
+        // The reading leaves the delay line N samples later
+        this.buffer.push(reading);
+        while (this.buffer.length > this.delaySamples + 1) this.buffer.shift();
+        return this.buffer[0];
+    }
+    
+    /** Standard normal sample (Box-Muller) */
+    static gaussian() {
+        const u = 1 - Math.random();
+        const v = Math.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
+
+class StateEstimator {
+    constructor() {
+        this.type = 'none';        // 'none', 'movingAverage', 'lowPass', 'kalman'
+        this.window = 5;           // moving-average length, samples
+        this.cutoff = 5;           // low-pass cutoff, Hz
+        this.processNoise = 4;     // Kalman acceleration noise density, (units/s^2)^2
+        this.measurementNoise = 1e-6; // Kalman measurement variance, units^2
+        this.reset(0);
+    }
+    
+    reset(value) {
+        this.samples = [];
+        this.value = value;
+        this.x = [value, 0];              // Kalman state: position, velocity
+        this.P = [[1, 0], [0, 1]];        // Kalman covariance
+    }
+    
+    /**
+     * Fold one raw measurement into the estimate.
+     * @param {number} measurement - Raw sensor reading
+     * @param {number} ts - Sample period in seconds
+     * @returns {number} Estimated plant output
+     */
+    update(measurement, ts) {
+        switch (this.type) {
+            case 'movingAverage':
+                this.samples.push(measurement);
+                if (this.samples.length > this.window) this.samples.shift();
+                this.value = this.samples.reduce((a, b) => a + b, 0) / this.samples.length;
+                break;
+            case 'lowPass': {
+                const rc = 1 / (2 * Math.PI * this.cutoff);
+                this.value += (measurement - this.value) * ts / (ts + rc);
+                break;
+            }
+            case 'kalman':
+                this.value = this.kalmanUpdate(measurement, ts);
+                break;
+            default:
+                this.value = measurement;
+        }
+        return this.value;
+    }
+    
+    /**
+     * Constant-velocity Kalman filter on a scalar position measurement,
+     * driven by white acceleration noise.
+     */
+    kalmanUpdate(z, ts) {
+        const [p, v] = this.x;
+        const P = this.P;
+        const q = this.processNoise;
+        
+        // Predict
+        const xp = [p + v * ts, v];
+        const t2 = ts * ts;
+        const t3 = t2 * ts;
+        const Pp = [
+            [
+                P[0][0] + ts * (P[1][0] + P[0][1]) + t2 * P[1][1] + q * t3 * ts / 4,
+                P[0][1] + ts * P[1][1] + q * t3 / 2
+            ],
+            [
+                P[1][0] + ts * P[1][1] + q * t3 / 2,
+                P[1][1] + q * t2
+            ]
+        ];
+        
+        // Correct
+        const s = Pp[0][0] + this.measurementNoise;
+        const k0 = Pp[0][0] / s;
+        const k1 = Pp[1][0] / s;
+        const innovation = z - xp[0];
+        
+        this.x = [xp[0] + k0 * innovation, xp[1] + k1 * innovation];
+        this.P = [
+            [(1 - k0) * Pp[0][0], (1 - k0) * Pp[0][1]],
+            [Pp[1][0] - k1 * Pp[0][0], Pp[1][1] - k1 * Pp[0][1]]
+        ];
+        
+        return this.x[0];
+    }
+}
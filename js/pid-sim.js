@@ -0,0 +1,682 @@
+/**
+ * Simulation core for the PID demo
+ * Plant, controllers, sensing and the fixed-step loop that ties them
+ * together, with no DOM access, so the same code runs behind the page, in a
+ * worker (importScripts) or headless in Node (see pid-node.js).
+ */
+
+/**
+ * Step-response analyzer
+ * Detects setpoint steps in a sampled signal and measures the response
+ * to each one: rise time, overshoot, settling time, steady-state error
+ * and the integral error criteria.
+ */
+class StepAnalyzer {
+    constructor(threshold = 0.05) {
+        this.threshold = threshold;  // minimum setpoint jump counted as a step
+        this.maxSteps = 20;
+        this.reset();
+    }
+    
+    reset() {
+        this.steps = [];
+        this.current = null;
+        this.lastSetpoint = null;
+    }
+    
+    /**
+     * Feed one controller sample.
+     * @param {number} t - Time in seconds
+     * @param {number} setpoint - Target position
+     * @param {number} position - Measured position
+     * @param {number} ts - Sample period in seconds
+     */
+    sample(t, setpoint, position, ts) {
+        if (this.lastSetpoint !== null && Math.abs(setpoint - this.lastSetpoint) > this.threshold) {
+            this.startStep(t, this.lastSetpoint, setpoint, position);
+        }
+        this.lastSetpoint = setpoint;
+        
+        const step = this.current;
+        if (!step) return;
+        
+        // A slowly moving setpoint (e.g. the sine wave) is tracked, not stepped
+        step.target = setpoint;
+        
+        const error = setpoint - position;
+        const absError = Math.abs(error);
+        const elapsed = t - step.t0;
+        
+        step.iae += absError * ts;
+        step.ise += error * error * ts;
+        step.itae += elapsed * absError * ts;
+        
+        // Progress along the step direction, 0 at the start and 1 at the target
+        const progress = (position - step.y0) / step.size;
+        if (step.t10 === null && progress >= 0.1) step.t10 = elapsed;
+        if (step.t90 === null && progress >= 0.9) step.t90 = elapsed;
+        step.peak = Math.max(step.peak, progress);
+        
+        const bandError = absError / Math.abs(step.size);
+        if (bandError > 0.02) step.lastOutside2 = elapsed;
+        if (bandError > 0.05) step.lastOutside5 = elapsed;
+        
+        step.elapsed = elapsed;
+        step.error = error;
+    }
+    
+    startStep(t, from, to, position) {
+        this.current = {
+            t0: t,
+            y0: position,
+            target: to,
+            size: to - position || to - from,
+            t10: null,
+            t90: null,
+            peak: 0,
+            lastOutside2: 0,
+            lastOutside5: 0,
+            iae: 0,
+            ise: 0,
+            itae: 0,
+            elapsed: 0,
+            error: to - position
+        };
+        this.steps.push(this.current);
+        if (this.steps.length > this.maxSteps) this.steps.shift();
+    }
+    
+    /**
+     * Metrics of the most recent step, or null before the first step.
+     * Settling time and steady-state error stay null until the response
+     * is inside the band.
+     * @param {number} band - Settling band as a fraction (0.02 or 0.05)
+     * @returns {Object|null}
+     */
+    getMetrics(band = 0.02) {
+        const step = this.current;
+        if (!step) return null;
+        
+        const lastOutside = band <= 0.02 ? step.lastOutside2 : step.lastOutside5;
+        const settled = step.elapsed > lastOutside;
+        
+        return {
+            riseTime: step.t10 !== null && step.t90 !== null ? step.t90 - step.t10 : null,
+            overshoot: Math.max(0, step.peak - 1) * 100,
+            settlingTime: settled ? lastOutside : null,
+            steadyStateError: settled ? step.error : null,
+            iae: step.iae,
+            ise: step.ise,
+            itae: step.itae
+        };
+    }
+}
+
+/**
+ * Relay-feedback auto-tuner (Åström–Hägglund)
+ * Replaces the controller with a relay that has a little hysteresis, waits
+ * for the limit cycle to settle, and reads the ultimate gain Ku and period Tu
+ * off the oscillation. A tuning rule then turns Ku/Tu into PID gains.
+ */
+class RelayAutoTuner {
+    constructor() {
+        this.amplitude = 0.2;    // relay output ±d
+        this.hysteresis = 0.02;  // error band before the relay switches
+        this.minCycles = 4;
+        this.maxCycles = 10;
+        this.tolerance = 0.05;   // relative spread of the last two cycles
+        this.timeout = 60;       // seconds
+        this.state = 'idle';     // 'idle', 'running', 'done', 'failed'
+        this.result = null;
+    }
+    
+    get isRunning() {
+        return this.state === 'running';
+    }
+    
+    start(t, setpoint) {
+        this.state = 'running';
+        this.result = null;
+        this.setpoint = setpoint;
+        this.t0 = t;
+        this.output = this.amplitude;
+        this.lastRise = null;
+        this.periods = [];
+        this.amplitudes = [];
+        this.max = -Infinity;
+        this.min = Infinity;
+    }
+    
+    stop() {
+        this.state = 'idle';
+    }
+    
+    /**
+     * Relay output for one controller sample.
+     * @param {number} t - Time in seconds
+     * @param {number} position - Measured position
+     * @returns {number} Relay output
+     */
+    update(t, position) {
+        const error = this.setpoint - position;
+        this.max = Math.max(this.max, position);
+        this.min = Math.min(this.min, position);
+        
+        if (this.output < 0 && error > this.hysteresis) {
+            // Upward switch closes one full cycle
+            this.output = this.amplitude;
+            if (this.lastRise !== null) {
+                this.periods.push(t - this.lastRise);
+                this.amplitudes.push((this.max - this.min) / 2);
+                this.checkConverged();
+            }
+            this.lastRise = t;
+            this.max = -Infinity;
+            this.min = Infinity;
+        } else if (this.output > 0 && error < -this.hysteresis) {
+            this.output = -this.amplitude;
+        }
+        
+        if (this.isRunning && t - this.t0 > this.timeout) {
+            this.state = 'failed';
+        }
+        
+        return this.output;
+    }
+    
+    checkConverged() {
+        const n = this.periods.length;
+        if (n < this.minCycles) return;
+        
+        const [p1, p2] = this.periods.slice(-2);
+        const [a1, a2] = this.amplitudes.slice(-2);
+        const spread = Math.max(Math.abs(p1 - p2) / p2, Math.abs(a1 - a2) / a2);
+        if (spread > this.tolerance && n < this.maxCycles) return;
+        
+        // Describing function of a relay with hysteresis
+        const a = (a1 + a2) / 2;
+        const Tu = (p1 + p2) / 2;
+        const Ku = 4 * this.amplitude / (Math.PI * Math.sqrt(Math.max(a * a - this.hysteresis * this.hysteresis, 1e-6)));
+        
+        this.result = { Ku, Tu };
+        this.state = 'done';
+    }
+    
+    /**
+     * PID gains from the measured Ku/Tu.
+     * @param {string} rule - Key of RelayAutoTuner.RULES
+     * @returns {{kP: number, kI: number, kD: number}}
+     */
+    gainsFor(rule) {
+        const { Ku, Tu } = this.result;
+        const r = RelayAutoTuner.RULES[rule] || RelayAutoTuner.RULES.zn;
+        const kP = r.kp * Ku;
+        const Ti = r.ti * Tu;
+        const Td = r.td * Tu;
+        return { kP, kI: kP / Ti, kD: kP * Td };
+    }
+}
+
+// Tuning rules as multiples of Ku (gain) and Tu (integral/derivative times)
+RelayAutoTuner.RULES = {
+    zn: { name: 'Ziegler–Nichols', kp: 0.6, ti: 0.5, td: 0.125 },
+    someOvershoot: { name: 'Z–N some overshoot', kp: 0.33, ti: 0.5, td: 0.33 },
+    noOvershoot: { name: 'Z–N no overshoot', kp: 0.2, ti: 0.5, td: 0.33 },
+    tyreusLuyben: { name: 'Tyreus–Luyben', kp: 1 / 2.2, ti: 2.2, td: 1 / 6.3 }
+};
+
+/**
+ * Closed-loop simulation of one plant
+ * Steps the physics at a fixed rate and samples the controller (PID, state
+ * feedback or the relay auto-tuner) at its own period, holding the output in
+ * between. An optional second PID loop (the A/B comparison) shares the
+ * setpoint and disturbances. Views hook in through onSample and onTune.
+ */
+class PIDSimulation {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.plant='ballBeam'] - Key of PID_PLANTS
+     * @param {Object} [options.colors] - Render colors handed to the plants
+     */
+    constructor(options = {}) {
+        // Fixed-timestep simulation
+        this.dt = 1 / 240;         // physics step, seconds
+        this.controlPeriod = 1 / 60; // controller sample period, seconds
+        this.controlTimer = 0;
+        this.time = 0;             // simulated seconds
+        
+        // Setpoint; setpointSource(t) returns the target in plant units,
+        // and the plant's center is held while it is null
+        this.setpoint = 0;
+        this.setpointSource = null;
+        
+        // PID gains, settings and state (see pid-controller.js)
+        this.pid = new PIDController(2.0, 0.1, 1.5);
+        this.output = 0;           // held between controller samples
+        this.error = 0;            // error at the last controller sample
+        
+        // State-space alternatives to PID (see pid-statespace.js), or a
+        // human steering the plant through manualInput
+        this.controllerType = 'pid'; // 'pid', 'lqr', 'poles', 'manual'
+        this.stateController = new StateSpaceController();
+        this.manualInput = 0;      // normalized command in manual mode
+        
+        // A/B comparison: a second loop with its own gains, same setpoint
+        // and disturbances (null when off)
+        this.comparison = null;
+        
+        // Sensor corruption and estimation (see pid-sensing.js)
+        this.sensor = new SensorModel();
+        this.estimator = new StateEstimator();
+        this.noisePercent = 0;     // noise σ as % of the setpoint half-range
+        this.quantPercent = 0;     // quantization step as % of the half-range
+        this.measured = 0;         // raw sensor reading
+        this.estimate = 0;         // what the controller acts on
+        
+        // Step-response metrics
+        this.analyzer = new StepAnalyzer();
+        
+        // Relay auto-tuning
+        this.autoTuner = new RelayAutoTuner();
+        this.tuningRule = 'zn';
+        
+        // Disturbance
+        this.disturbance = 0;      // normalized, scaled by the plant
+        this.disturbanceTimer = 0; // seconds left on the current impulse
+        
+        // Plant pinned in place, e.g. while dragged by hand
+        this.held = null;          // { position, velocity }
+        
+        // Hooks: onSample(error, output) after every controller sample,
+        // onStep() after every physics step, onTune(autoTuner) after every
+        // relay sample of an auto-tune test
+        this.onSample = null;
+        this.onStep = null;
+        this.onTune = null;
+        
+        // outputSource() replaces every controller's output while set, e.g.
+        // with a remote plant's own controller (see pid-bridge.js)
+        this.outputSource = null;
+        
+        this.colors = options.colors || {};
+        this.setPlant(options.plant || 'ballBeam');
+    }
+    
+    /**
+     * Swap the plant under control and load its default gains and
+     * state-space design inputs.
+     * @param {string} type - Key of PID_PLANTS
+     * @returns {boolean} false for an unknown plant
+     */
+    setPlant(type) {
+        if (!Object.prototype.hasOwnProperty.call(PID_PLANTS, type)) return false;
+        
+        if (this.autoTuner.isRunning) this.autoTuner.stop();
+        this.plantType = type;
+        this.plant = new PID_PLANTS[type](this.colors);
+        
+        // Step detection and sensor settings scale with the plant's setpoint range
+        this.analyzer.threshold = 0.05 * this.plant.halfRange;
+        this.configureSensor();
+        
+        const { kP, kI, kD } = this.plant.defaultGains;
+        this.pid.setGains(kP, kI, kD);
+        this.tuningRule = this.plant.tuningRule;
+        if (this.comparison) this.comparison = this.createComparison();
+        
+        this.lqrQ = this.plant.defaultQ.slice();
+        this.lqrR = this.plant.defaultR;
+        this.poleText = this.plant.defaultPoles;
+        
+        this.reset();
+        this.designStateSpace();
+        return true;
+    }
+    
+    /**
+     * Apply noisePercent and quantPercent in plant units, and tell the
+     * Kalman filter how noisy its measurements are.
+     */
+    configureSensor() {
+        const range = this.plant.halfRange;
+        this.sensor.noiseStd = this.noisePercent / 100 * range;
+        this.sensor.quantization = this.quantPercent / 100 * range;
+        
+        const q = this.sensor.quantization;
+        this.estimator.measurementNoise = Math.max(
+            this.sensor.noiseStd * this.sensor.noiseStd + q * q / 12,
+            1e-6 * range * range
+        );
+        this.estimator.processNoise = 4 * range * range;
+    }
+    
+    /**
+     * Read the sensor and run the estimator once per controller sample.
+     * @param {number} ts - Sample period in seconds
+     */
+    sampleSensor(ts) {
+        this.measured = this.sensor.measure(this.plant.position);
+        this.estimate = this.estimator.update(this.measured, ts);
+    }
+    
+    /**
+     * Turn the A/B comparison on or off. B starts from A's gains; both loops
+     * restart together so their responses line up.
+     * @param {boolean} enabled
+     */
+    setComparison(enabled) {
+        this.comparison = enabled ? this.createComparison() : null;
+        this.reset();
+    }
+    
+    createComparison() {
+        const colors = { ...this.colors, ball: this.colors.compare, ballGlow: this.colors.compareGlow };
+        return {
+            plant: new PID_PLANTS[this.plantType](colors),
+            pid: new PIDController(this.pid.kP, this.pid.kI, this.pid.kD),
+            sensor: new SensorModel(),
+            estimator: new StateEstimator(),
+            analyzer: new StepAnalyzer(this.analyzer.threshold),
+            measured: 0,
+            estimate: 0,
+            output: 0
+        };
+    }
+    
+    /** B follows every setting of A except its PID gains */
+    syncComparison() {
+        const b = this.comparison;
+        b.pid.copySettings(this.pid);
+        ['noiseStd', 'quantization', 'delaySamples'].forEach(key => {
+            b.sensor[key] = this.sensor[key];
+        });
+        ['type', 'window', 'cutoff', 'processNoise', 'measurementNoise'].forEach(key => {
+            b.estimator[key] = this.estimator[key];
+        });
+        if (this.plant.actuator) {
+            ['maxAngle', 'maxRate', 'deadband', 'backlash', 'timeConstant'].forEach(key => {
+                b.plant.actuator[key] = this.plant.actuator[key];
+            });
+        }
+        this.plant.physicsKeys.forEach(key => {
+            b.plant[key] = this.plant[key];
+        });
+    }
+    
+    /**
+     * One controller sample of the B loop, always PID, on the shared setpoint.
+     * @param {number} ts - Sample period in seconds
+     */
+    sampleComparison(ts) {
+        const b = this.comparison;
+        this.syncComparison();
+        b.measured = b.sensor.measure(b.plant.position);
+        b.estimate = b.estimator.update(b.measured, ts);
+        b.output = b.pid.compute(this.setpoint, b.estimate, ts).output;
+        b.analyzer.sample(this.time, this.setpoint, b.plant.position, ts);
+    }
+    
+    /**
+     * Switch between PID, the state-feedback designs and manual control.
+     * @param {string} type - 'pid', 'lqr', 'poles' or 'manual'
+     */
+    setController(type) {
+        this.controllerType = type;
+        this.manualInput = 0;
+        this.pid.integral = 0;
+        this.pid.dTerm = 0;
+        this.designStateSpace();
+    }
+    
+    /**
+     * Recompute the state-feedback gain for the current plant, weights
+     * (lqrQ, lqrR), poles (poleText) and sample period. Problems are left
+     * in stateController.error.
+     */
+    designStateSpace() {
+        if (!this.isStateFeedback) return;
+        
+        const model = this.plant.linearize();
+        const controller = this.stateController;
+        
+        if (this.controllerType === 'lqr') {
+            controller.designLQR(model, this.lqrQ, this.lqrR, this.controlPeriod);
+        } else {
+            const poles = StateSpaceController.parsePoles(this.poleText);
+            if (poles) controller.designPolePlacement(model, poles);
+            else controller.fail('Poles look like: -2, -1.5±1j');
+        }
+    }
+    
+    /**
+     * Hand the plant to the relay around the center of its range, where the
+     * limit cycle has room on both sides.
+     * @returns {boolean} false if the plant cannot be relay-tuned
+     */
+    startAutoTune() {
+        if (!this.plant.relayTunable) return false;
+        this.autoTuner.hysteresis = 0.02 * this.plant.halfRange;
+        this.autoTuner.start(this.time, this.plant.center);
+        this.pid.integral = 0;
+        return true;
+    }
+    
+    /** Load the PID gains of tuningRule from the last finished relay test */
+    applyTuning() {
+        const { kP, kI, kD } = this.autoTuner.gainsFor(this.tuningRule);
+        if (this.controllerType !== 'pid') this.setController('pid');
+        this.pid.setGains(kP, kI, kD);
+        this.pid.restartDerivative(this.setpoint - this.estimate, this.estimate);
+    }
+    
+    /**
+     * Kick both loops with the same impulse and a short constant disturbance.
+     * @param {number} [impulse] - Normalized velocity kick, random if omitted
+     * @param {number} [force] - Normalized disturbance, random if omitted
+     * @param {number} [duration=0.5] - Seconds the disturbance lasts
+     */
+    disturb(impulse = (Math.random() - 0.5) * 2, force = (Math.random() - 0.5) * 2, duration = 0.5) {
+        this.plant.applyImpulse(impulse);
+        if (this.comparison) this.comparison.plant.applyImpulse(impulse);
+        this.disturbance = force;
+        this.disturbanceTimer = duration;
+    }
+    
+    /** Put both loops of an A/B comparison into the same state */
+    place(position, velocity) {
+        this.plant.place(position, velocity);
+        if (this.comparison) this.comparison.plant.place(position, velocity);
+    }
+    
+    /**
+     * Pin the plants at a state until release(), whatever the physics does.
+     * held.position is read back after the plant clamps or unwraps it.
+     * @param {number} position - Plant units
+     * @param {number} [velocity=0] - Plant units per second
+     */
+    hold(position, velocity = 0) {
+        this.place(position, velocity);
+        this.held = { position: this.plant.position, velocity };
+    }
+    
+    /**
+     * Let go of a held plant.
+     * @param {number} [velocity] - Release speed, the held speed if omitted
+     */
+    release(velocity) {
+        if (!this.held) return;
+        this.place(this.held.position, velocity === undefined ? this.held.velocity : velocity);
+        this.held = null;
+    }
+    
+    reset() {
+        this.plant.reset();
+        this.sensor.reset();
+        this.measured = this.plant.position;
+        this.estimate = this.plant.position;
+        this.estimator.reset(this.estimate);
+        this.pid.reset();
+        this.output = 0;
+        this.error = 0;
+        this.controlTimer = 0;
+        this.analyzer.reset();
+        if (this.comparison) {
+            const b = this.comparison;
+            b.plant.reset();
+            b.pid.reset();
+            b.sensor.reset();
+            b.measured = b.plant.position;
+            b.estimate = b.plant.position;
+            b.estimator.reset(b.estimate);
+            b.output = 0;
+            b.analyzer.reset();
+        }
+        if (this.autoTuner.isRunning) this.autoTuner.stop();
+        this.disturbance = 0;
+        this.disturbanceTimer = 0;
+    }
+    
+    /**
+     * Set the controller sample period. Physics keeps its own fixed step;
+     * the controller output is held between samples. Multiples of dt keep
+     * the samples evenly spaced.
+     * @param {number} ts - Seconds between samples, at least one physics step
+     */
+    setSamplePeriod(ts) {
+        this.controlPeriod = Math.max(this.dt, ts);
+        this.controlTimer = 0;
+        this.designStateSpace();
+    }
+    
+    /**
+     * Set the controller sample rate.
+     * @param {number} hz - Samples per second
+     */
+    setControlRate(hz) {
+        this.setSamplePeriod(1 / Math.max(1, hz));
+    }
+    
+    get isStateFeedback() {
+        return this.controllerType === 'lqr' || this.controllerType === 'poles';
+    }
+    
+    /**
+     * True while the state feedback has no reference gain (N = 0), e.g. the
+     * cart-pole, which cannot hold a tilted pole still. Its loop always
+     * drives the output to center, so the setpoint stays there too.
+     */
+    get pinsSetpoint() {
+        return this.isStateFeedback && this.stateController.K !== null && this.stateController.N === 0;
+    }
+    
+    /** P/I/D terms only mean something while the PID owns the plant */
+    get isPIDActive() {
+        return this.controllerType === 'pid' && !this.autoTuner.isRunning;
+    }
+    
+    /**
+     * Output of whichever controller owns the plant this sample.
+     * @param {number} ts - Sample period in seconds
+     * @returns {{error: number, output: number}}
+     */
+    computeOutput(ts) {
+        if (this.outputSource) return { error: this.setpoint - this.estimate, output: this.outputSource() };
+        if (this.autoTuner.isRunning) return this.computeRelay();
+        if (this.controllerType === 'manual') {
+            const output = Math.max(-1, Math.min(1, this.manualInput));
+            return { error: this.setpoint - this.estimate, output };
+        }
+        if (this.controllerType !== 'pid') return this.computeStateFeedback();
+        return this.computeControl(ts);
+    }
+    
+    /**
+     * Full-state feedback u = -Kx + N r from the LQR or pole-placement design.
+     * The measured output is replaced by the estimate; the other states are
+     * read directly from the plant.
+     * @returns {{error: number, output: number}}
+     */
+    computeStateFeedback() {
+        const error = this.setpoint - this.estimate;
+        const x = this.plant.stateVector();
+        const outputIndex = this.plant.linearize().C[0].indexOf(1);
+        if (outputIndex >= 0) x[outputIndex] = this.estimate;
+        
+        const u = this.stateController.compute(x, this.setpoint);
+        const output = Math.max(-1, Math.min(1, u));
+        return { error, output };
+    }
+    
+    /**
+     * One PID sample on the estimated output.
+     * @param {number} ts - Sample period in seconds
+     * @returns {{error: number, output: number}}
+     */
+    computeControl(ts) {
+        return this.pid.compute(this.setpoint, this.estimate, ts);
+    }
+    
+    /**
+     * Relay output while the auto-tune experiment runs; applies the tuning
+     * once the limit cycle has settled.
+     * @returns {{error: number, output: number}}
+     */
+    computeRelay() {
+        const error = this.setpoint - this.estimate;
+        const output = this.autoTuner.update(this.time, this.estimate);
+        
+        if (this.autoTuner.state === 'done') this.applyTuning();
+        if (this.onTune) this.onTune(this.autoTuner);
+        
+        return { error, output };
+    }
+    
+    /**
+     * Advance the simulation by one fixed physics step.
+     * @param {number} [dt] - Step length in seconds
+     */
+    step(dt = this.dt) {
+        this.time += dt;
+        
+        // Current setpoint (held fixed during a relay test)
+        if (this.autoTuner.isRunning) this.setpoint = this.autoTuner.setpoint;
+        else if (this.pinsSetpoint) this.setpoint = this.plant.center;
+        else this.setpoint = this.setpointSource ? this.setpointSource(this.time) : this.plant.center;
+        
+        // Sample the controller at its own rate (zero-order hold in between)
+        this.controlTimer += dt;
+        if (this.controlTimer >= this.controlPeriod - 1e-9) {
+            this.controlTimer -= this.controlPeriod;
+            this.sampleSensor(this.controlPeriod);
+            const { error, output } = this.computeOutput(this.controlPeriod);
+            this.output = output;
+            this.error = error;
+            if (this.comparison) this.sampleComparison(this.controlPeriod);
+            this.analyzer.sample(this.time, this.setpoint, this.plant.position, this.controlPeriod);
+            if (this.onSample) this.onSample(error, output);
+        }
+        
+        // Disturbance impulse runs out in simulated time
+        if (this.disturbanceTimer > 0) {
+            this.disturbanceTimer -= dt;
+            if (this.disturbanceTimer <= 0) this.disturbance = 0;
+        }
+        
+        this.plant.step(this.output, dt, this.disturbance);
+        if (this.comparison) this.comparison.plant.step(this.comparison.output, dt, this.disturbance);
+        
+        // A held plant stays put whatever the physics did
+        if (this.held) this.place(this.held.position, this.held.velocity);
+        
+        if (this.onStep) this.onStep();
+    }
+    
+    /**
+     * Step for a stretch of simulated time.
+     * @param {number} seconds - Simulated time to advance
+     */
+    run(seconds) {
+        const steps = Math.round(seconds / this.dt);
+        for (let i = 0; i < steps; i++) this.step(this.dt);
+    }
+}
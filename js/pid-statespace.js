@@ -0,0 +1,286 @@
+/**
+ * State-space controllers for the PID demo
+ * LQR and pole placement on the plant's linearized model, computed in the
+ * browser. Matrices are plain arrays of rows; the plants are single-input.
+ */
+
+const LinAlg = {
+    zeros(rows, cols) {
+        return Array.from({ length: rows }, () => new Array(cols).fill(0));
+    },
+    
+    identity(n) {
+        const I = LinAlg.zeros(n, n);
+        for (let i = 0; i < n; i++) I[i][i] = 1;
+        return I;
+    },
+    
+    multiply(A, B) {
+        const rows = A.length;
+        const cols = B[0].length;
+        const inner = B.length;
+        const C = LinAlg.zeros(rows, cols);
+        for (let i = 0; i < rows; i++) {
+            for (let j = 0; j < cols; j++) {
+                let sum = 0;
+                for (let k = 0; k < inner; k++) sum += A[i][k] * B[k][j];
+                C[i][j] = sum;
+            }
+        }
+        return C;
+    },
+    
+    add(A, B) {
+        return A.map((row, i) => row.map((v, j) => v + B[i][j]));
+    },
+    
+    subtract(A, B) {
+        return A.map((row, i) => row.map((v, j) => v - B[i][j]));
+    },
+    
+    scale(A, s) {
+        return A.map(row => row.map(v => v * s));
+    },
+    
+    transpose(A) {
+        return A[0].map((_, j) => A.map(row => row[j]));
+    },
+    
+    /**
+     * Inverse by Gauss-Jordan elimination with partial pivoting.
+     * @returns {number[][]|null} null when the matrix is singular
+     */
+    inverse(A) {
+        const n = A.length;
+        const M = A.map((row, i) => [...row, ...LinAlg.identity(n)[i]]);
+        
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) {
+                if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+            }
+            if (Math.abs(M[pivot][col]) < 1e-12) return null;
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+            
+            const p = M[col][col];
+            for (let j = 0; j < 2 * n; j++) M[col][j] /= p;
+            
+            for (let r = 0; r < n; r++) {
+                if (r === col) continue;
+                const f = M[r][col];
+                if (f === 0) continue;
+                for (let j = 0; j < 2 * n; j++) M[r][j] -= f * M[col][j];
+            }
+        }
+        
+        return M.map(row => row.slice(n));
+    },
+    
+    /** Matrix exponential by scaling and squaring of a Taylor series */
+    expm(A) {
+        const n = A.length;
+        const norm = Math.max(...A.map(row => row.reduce((s, v) => s + Math.abs(v), 0)));
+        const squarings = Math.max(0, Math.ceil(Math.log2(norm || 1)) + 1);
+        const As = LinAlg.scale(A, 1 / Math.pow(2, squarings));
+        
+        let result = LinAlg.identity(n);
+        let term = LinAlg.identity(n);
+        for (let k = 1; k <= 12; k++) {
+            term = LinAlg.scale(LinAlg.multiply(term, As), 1 / k);
+            result = LinAlg.add(result, term);
+        }
+        
+        for (let i = 0; i < squarings; i++) result = LinAlg.multiply(result, result);
+        return result;
+    }
+};
+
+class StateSpaceController {
+    constructor() {
+        this.K = null;       // state feedback gain, row vector
+        this.N = 0;          // reference gain for zero steady-state error
+        this.error = null;   // last design failure, for the UI
+    }
+    
+    /**
+     * Zero-order-hold discretization of (A, B) at sample period ts.
+     * @returns {{Ad: number[][], Bd: number[][]}}
+     */
+    static discretize(A, B, ts) {
+        const n = A.length;
+        const M = LinAlg.zeros(n + 1, n + 1);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) M[i][j] = A[i][j] * ts;
+            M[i][n] = B[i][0] * ts;
+        }
+        const E = LinAlg.expm(M);
+        return {
+            Ad: E.slice(0, n).map(row => row.slice(0, n)),
+            Bd: E.slice(0, n).map(row => [row[n]])
+        };
+    }
+    
+    /**
+     * Discrete-time LQR at the controller sample period, by iterating the
+     * Riccati difference equation to convergence.
+     * @param {{A: number[][], B: number[][], C: number[][]}} model
+     * @param {number[]} qDiag - Diagonal of the state weight Q
+     * @param {number} r - Input weight R
+     * @param {number} ts - Sample period in seconds
+     * @returns {boolean} Whether the design succeeded
+     */
+    designLQR(model, qDiag, r, ts) {
+        const n = model.A.length;
+        const { Ad, Bd } = StateSpaceController.discretize(model.A, model.B, ts);
+        const Q = LinAlg.zeros(n, n);
+        qDiag.forEach((q, i) => { Q[i][i] = q; });
+        
+        const BdT = LinAlg.transpose(Bd);
+        let P = Q;
+        let K = null;
+        
+        for (let iter = 0; iter < 5000; iter++) {
+            const PB = LinAlg.multiply(P, Bd);
+            const denom = r + LinAlg.multiply(BdT, PB)[0][0];
+            K = LinAlg.scale(LinAlg.multiply(LinAlg.transpose(PB), Ad), 1 / denom);
+            
+            // Symmetric (Joseph) form keeps P symmetric and the iteration stable
+            const closed = LinAlg.subtract(Ad, LinAlg.multiply(Bd, K));
+            const next = LinAlg.add(
+                LinAlg.add(Q, LinAlg.multiply(LinAlg.multiply(LinAlg.transpose(closed), P), closed)),
+                LinAlg.scale(LinAlg.multiply(LinAlg.transpose(K), K), r)
+            );
+            
+            const delta = Math.max(...next.map((row, i) => Math.max(...row.map((v, j) => Math.abs(v - P[i][j])))));
+            P = next;
+            if (delta < 1e-9 * (1 + Math.abs(P[0][0]))) break;
+        }
+        
+        if (!K || K[0].some(v => !isFinite(v))) {
+            this.fail('LQR did not converge');
+            return false;
+        }
+        
+        // Reference gain from the discrete closed-loop DC gain
+        const closed = LinAlg.subtract(Ad, LinAlg.multiply(Bd, K));
+        const inv = LinAlg.inverse(LinAlg.subtract(LinAlg.identity(n), closed));
+        this.setGain(K[0], inv ? LinAlg.multiply(LinAlg.multiply(model.C, inv), Bd)[0][0] : 0);
+        return true;
+    }
+    
+    /**
+     * Continuous-time pole placement by Ackermann's formula.
+     * @param {{A: number[][], B: number[][], C: number[][]}} model
+     * @param {Array<{re: number, im: number}>} poles - Desired closed-loop poles
+     * @returns {boolean} Whether the design succeeded
+     */
+    designPolePlacement(model, poles) {
+        const { A, B, C } = model;
+        const n = A.length;
+        if (poles.length !== n) {
+            this.fail(`Need ${n} poles, got ${poles.length}`);
+            return false;
+        }
+        
+        // Controllability matrix [B, AB, ..., A^(n-1)B]
+        const columns = [B];
+        for (let i = 1; i < n; i++) columns.push(LinAlg.multiply(A, columns[i - 1]));
+        const ctrb = LinAlg.zeros(n, n);
+        columns.forEach((col, j) => col.forEach((row, i) => { ctrb[i][j] = row[0]; }));
+        const ctrbInv = LinAlg.inverse(ctrb);
+        if (!ctrbInv) {
+            this.fail('Plant is not controllable');
+            return false;
+        }
+        
+        // phi(A) from the desired characteristic polynomial
+        const coeffs = StateSpaceController.polynomialFromPoles(poles);
+        let phi = LinAlg.zeros(n, n);
+        let power = LinAlg.identity(n);
+        for (let k = n; k >= 0; k--) {
+            phi = LinAlg.add(phi, LinAlg.scale(power, coeffs[k]));
+            power = LinAlg.multiply(power, A);
+        }
+        
+        const last = LinAlg.zeros(1, n);
+        last[0][n - 1] = 1;
+        const K = LinAlg.multiply(LinAlg.multiply(last, ctrbInv), phi);
+        
+        // Reference gain from the continuous closed-loop DC gain
+        const inv = LinAlg.inverse(LinAlg.subtract(A, LinAlg.multiply(B, K)));
+        this.setGain(K[0], inv ? -LinAlg.multiply(LinAlg.multiply(C, inv), B)[0][0] : 0);
+        return true;
+    }
+    
+    /**
+     * Real coefficients of prod(s - p), highest power first.
+     * Complex poles must come in conjugate pairs.
+     */
+    static polynomialFromPoles(poles) {
+        let re = [1];
+        let im = [0];
+        poles.forEach(p => {
+            const nextRe = new Array(re.length + 1).fill(0);
+            const nextIm = new Array(re.length + 1).fill(0);
+            for (let i = 0; i < re.length; i++) {
+                nextRe[i] += re[i];
+                nextIm[i] += im[i];
+                nextRe[i + 1] -= re[i] * p.re - im[i] * p.im;
+                nextIm[i + 1] -= re[i] * p.im + im[i] * p.re;
+            }
+            re = nextRe;
+            im = nextIm;
+        });
+        return re;
+    }
+    
+    /**
+     * Parse "-2, -1.5±1.2j, -3+1j" into poles. A complex entry adds its
+     * conjugate as well.
+     * @returns {Array<{re: number, im: number}>|null} null on a syntax error
+     */
+    static parsePoles(text) {
+        const poles = [];
+        const pattern = /^([+-]?\d*\.?\d+)(?:\s*(±|\+-|\+|-)\s*(\d*\.?\d+)\s*[ij])?$/;
+        
+        for (const token of text.split(',').map(t => t.trim()).filter(Boolean)) {
+            const match = token.replace(/\s+/g, '').match(pattern);
+            if (!match) return null;
+            
+            const re = parseFloat(match[1]);
+            if (match[3] === undefined) {
+                poles.push({ re, im: 0 });
+            } else {
+                const im = parseFloat(match[3]);
+                poles.push({ re, im }, { re, im: -im });
+            }
+        }
+        return poles;
+    }
+    
+    setGain(K, dcGain) {
+        this.K = K;
+        // An output the loop cannot hold at a nonzero value gets no feedforward
+        this.N = Math.abs(dcGain) > 1e-9 ? 1 / dcGain : 0;
+        this.error = null;
+    }
+    
+    fail(message) {
+        this.K = null;
+        this.N = 0;
+        this.error = message;
+    }
+    
+    /**
+     * Control law u = -Kx + N r.
+     * @param {number[]} x - Plant state
+     * @param {number} reference - Setpoint for the measured output
+     * @returns {number} Unsaturated control input
+     */
+    compute(x, reference) {
+        if (!this.K) return 0;
+        let u = this.N * reference;
+        for (let i = 0; i < x.length; i++) u -= this.K[i] * x[i];
+        return u;
+    }
+}
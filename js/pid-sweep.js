@@ -0,0 +1,289 @@
+/**
+ * Gain-space sweep for the PID demo
+ * Runs a headless step response (see pid-sim.js) for every cell of a
+ * kP × kD grid, optionally for several kI values, and draws the chosen
+ * metric as a heatmap. Cells that do not settle within the run mark the
+ * unstable (or too sluggish) region.
+ */
+
+class GainSweep {
+    constructor() {
+        this.kPRange = [0, 5];     // gain ranges, matched to the demo sliders on start
+        this.kDRange = [0, 5];
+        this.kIRange = [0, 1];
+        this.resolution = 11;      // cells per axis, 0.5 apart on the default ranges
+        this.kISteps = 4;          // kI slices when kI is swept
+        this.duration = 10;        // simulated seconds per run
+        this.stepSize = 0.5;       // normalized setpoint step
+        this.metric = 'ise';       // key of GainSweep.METRICS
+        this.band = 0.02;          // settling band
+        
+        this.isRunning = false;
+        this.template = null;      // settings copied from the live loop
+        this.kIValues = [];
+        this.slices = [];          // [kI index][kD index][kP index] → cell
+        this.queue = [];           // cells still to simulate
+        this.total = 0;
+        this.slice = 0;            // kI slice on display
+        this.hover = null;         // cell under the pointer
+        this.rect = null;          // grid area from the last draw, for hit tests
+    }
+    
+    /**
+     * Queue a sweep of the given loop's plant and settings.
+     * @param {PIDSimulation} sim - Live simulation to copy
+     * @param {boolean} sweepKI - Sweep kI too, or hold it at the live value
+     */
+    start(sim, sweepKI) {
+        const settings = new PIDController();
+        settings.copySettings(sim.pid);
+        this.template = {
+            plantType: sim.plantType,
+            controlPeriod: sim.controlPeriod,
+            pid: settings,
+            actuator: sim.plant.actuator ? { ...sim.plant.actuator } : null,
+            physics: Object.fromEntries(sim.plant.physicsKeys.map(key => [key, sim.plant[key]]))
+        };
+        
+        const n = this.kISteps;
+        const [kIMin, kIMax] = this.kIRange;
+        this.kIValues = sweepKI
+            ? Array.from({ length: n }, (_, i) => kIMin + (kIMax - kIMin) * i / (n - 1))
+            : [sim.pid.kI];
+        
+        const kPs = GainSweep.axis(this.kPRange, this.resolution);
+        const kDs = GainSweep.axis(this.kDRange, this.resolution);
+        this.queue = [];
+        this.slices = this.kIValues.map(kI => kDs.map(kD => kPs.map(kP => {
+            const cell = { kP, kI, kD, metrics: null, settled: false };
+            this.queue.push(cell);
+            return cell;
+        })));
+        
+        this.total = this.queue.length;
+        this.slice = 0;
+        this.hover = null;
+        this.isRunning = true;
+    }
+    
+    stop() {
+        this.isRunning = false;
+        this.queue = [];
+    }
+    
+    clear() {
+        this.stop();
+        this.slices = [];
+        this.kIValues = [];
+        this.hover = null;
+    }
+    
+    /** Fraction of the queued cells simulated so far */
+    get progress() {
+        return this.total ? 1 - this.queue.length / this.total : 0;
+    }
+    
+    get hasResults() {
+        return this.slices.length > 0;
+    }
+    
+    /**
+     * Simulate queued cells until the time budget runs out, so a sweep can
+     * share the animation frame with the live demo.
+     * @param {number} budgetMs - Wall-clock milliseconds to spend
+     * @returns {boolean} true once every cell is done
+     */
+    advance(budgetMs) {
+        const start = performance.now();
+        while (this.queue.length && performance.now() - start < budgetMs) {
+            this.runCell(this.queue.shift());
+        }
+        if (!this.queue.length) this.isRunning = false;
+        return !this.isRunning;
+    }
+    
+    /** Step response of one cell from the center of the range */
+    runCell(cell) {
+        const t = this.template;
+        const sim = new PIDSimulation({ plant: t.plantType });
+        sim.controlPeriod = t.controlPeriod;
+        sim.pid.copySettings(t.pid);
+        sim.pid.setGains(cell.kP, cell.kI, cell.kD);
+        if (t.actuator) Object.assign(sim.plant.actuator, t.actuator);
+        Object.assign(sim.plant, t.physics);
+        
+        // Hold the center for a couple of samples so the analyzer sees a clean step
+        const target = sim.plant.fromNormalized(this.stepSize);
+        const stepAt = Math.max(0.1, 2 * t.controlPeriod);
+        sim.setpointSource = time => (time < stepAt ? sim.plant.center : target);
+        sim.run(this.duration);
+        
+        cell.metrics = sim.analyzer.getMetrics(this.band);
+        cell.settled = !!cell.metrics && cell.metrics.settlingTime !== null && isFinite(sim.plant.position);
+    }
+    
+    /** Metric value of a cell, null while it is unscored or never settled */
+    score(cell) {
+        if (!cell.metrics || !cell.settled) return null;
+        return cell.metrics[this.metric];
+    }
+    
+    /** Best settled cell of the displayed slice, lowest score first */
+    get best() {
+        let best = null;
+        (this.slices[this.slice] || []).forEach(row => row.forEach(cell => {
+            const v = this.score(cell);
+            if (v !== null && (!best || v < this.score(best))) best = cell;
+        }));
+        return best;
+    }
+    
+    /** n values from min to max inclusive */
+    static axis([min, max], n) {
+        return Array.from({ length: n }, (_, i) => +(min + (max - min) * i / (n - 1)).toFixed(6));
+    }
+    
+    /**
+     * Color from cyan (best) to magenta (worst).
+     * @param {number} f - 0 to 1
+     */
+    static color(f) {
+        const r = Math.round(255 * f);
+        const g = Math.round(240 * (1 - f));
+        const b = Math.round(255 - 95 * f);
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+    
+    /**
+     * Draw the displayed slice as a heatmap with kP across and kD up.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {{x: number, y: number, width: number, height: number}} area
+     * @param {Object} style - { background, grid, text, unsettled }
+     * @param {{kP: number, kD: number}} [marker] - Live gains to mark
+     */
+    draw(ctx, area, style, marker) {
+        const { x, y, width, height } = area;
+        ctx.fillStyle = style.background;
+        ctx.fillRect(x, y, width, height);
+        
+        const grid = { x: x + 34, y: y + 8, width: width - 42, height: height - 34 };
+        this.rect = grid;
+        
+        const rows = this.slices[this.slice];
+        if (!rows) return;
+        
+        // Color scale over the settled cells of every slice, so slices compare
+        const values = [];
+        this.slices.forEach(slice => slice.forEach(row => row.forEach(cell => {
+            const v = this.score(cell);
+            if (v !== null) values.push(v);
+        })));
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        
+        const n = this.resolution;
+        const cw = grid.width / n;
+        const ch = grid.height / n;
+        rows.forEach((row, j) => row.forEach((cell, i) => {
+            const cx = grid.x + i * cw;
+            const cy = grid.y + grid.height - (j + 1) * ch;
+            if (!cell.metrics) {
+                ctx.fillStyle = style.grid;
+            } else if (!cell.settled) {
+                ctx.fillStyle = style.unsettled;
+            } else {
+                // Square root spreads out the good end of the scale
+                const f = max > min ? Math.sqrt((this.score(cell) - min) / (max - min)) : 0;
+                ctx.fillStyle = GainSweep.color(f);
+            }
+            ctx.fillRect(cx + 0.5, cy + 0.5, cw - 1, ch - 1);
+        }));
+        
+        this.outlineCell(ctx, this.best, '#ffffff', 2);
+        this.outlineCell(ctx, this.hover, style.text, 1);
+        
+        // Live gains, held to the edge (dashed) once they leave the swept ranges
+        if (marker) {
+            const fx = (marker.kP - this.kPRange[0]) / (this.kPRange[1] - this.kPRange[0]);
+            const fy = (marker.kD - this.kDRange[0]) / (this.kDRange[1] - this.kDRange[0]);
+            const cx = Math.min(Math.max(fx, 0), 1);
+            const cy = Math.min(Math.max(fy, 0), 1);
+            const outside = cx !== fx || cy !== fy;
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1.5;
+            if (outside) ctx.setLineDash([2, 2]);
+            ctx.beginPath();
+            ctx.arc(grid.x + cx * (grid.width - cw) + cw / 2, grid.y + grid.height - cy * (grid.height - ch) - ch / 2, 4, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            if (outside) {
+                ctx.font = '10px JetBrains Mono, monospace';
+                ctx.fillStyle = style.text;
+                ctx.textAlign = 'right';
+                ctx.fillText('live gains off grid', grid.x + grid.width - 2, grid.y + 10);
+            }
+        }
+        
+        // Axes
+        ctx.font = '10px JetBrains Mono, monospace';
+        ctx.fillStyle = style.text;
+        ctx.textAlign = 'center';
+        ctx.fillText(`kP ${this.kPRange[0]}–${this.kPRange[1]}`, grid.x + grid.width / 2, y + height - 6);
+        ctx.fillText(this.kPRange[0], grid.x + cw / 2, grid.y + grid.height + 12);
+        ctx.fillText(this.kPRange[1], grid.x + grid.width - cw / 2, grid.y + grid.height + 12);
+        ctx.textAlign = 'right';
+        ctx.fillText(this.kDRange[0], grid.x - 4, grid.y + grid.height - ch / 2 + 3);
+        ctx.fillText(this.kDRange[1], grid.x - 4, grid.y + ch / 2 + 3);
+        ctx.save();
+        ctx.translate(x + 10, grid.y + grid.height / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText('kD', 0, 0);
+        ctx.restore();
+        ctx.textAlign = 'left';
+    }
+    
+    outlineCell(ctx, cell, color, lineWidth) {
+        const pos = cell && this.cellIndex(cell);
+        if (!pos) return;
+        const grid = this.rect;
+        const cw = grid.width / this.resolution;
+        const ch = grid.height / this.resolution;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.strokeRect(grid.x + pos.i * cw + 1, grid.y + grid.height - (pos.j + 1) * ch + 1, cw - 2, ch - 2);
+    }
+    
+    /** Column and row of a cell in the displayed slice */
+    cellIndex(cell) {
+        const rows = this.slices[this.slice] || [];
+        for (let j = 0; j < rows.length; j++) {
+            const i = rows[j].indexOf(cell);
+            if (i >= 0) return { i, j };
+        }
+        return null;
+    }
+    
+    /**
+     * Cell of the displayed slice under a canvas point.
+     * @returns {Object|null}
+     */
+    cellAt(px, py) {
+        const grid = this.rect;
+        const rows = this.slices[this.slice];
+        if (!grid || !rows) return null;
+        
+        const i = Math.floor((px - grid.x) / grid.width * this.resolution);
+        const j = Math.floor((grid.y + grid.height - py) / grid.height * this.resolution);
+        if (i < 0 || j < 0 || i >= this.resolution || j >= this.resolution) return null;
+        return rows[j][i];
+    }
+}
+
+// Scores a sweep can map; lower is better for all of them
+GainSweep.METRICS = {
+    ise: { label: 'ISE', digits: 3, unit: '' },
+    iae: { label: 'IAE', digits: 3, unit: '' },
+    overshoot: { label: 'Overshoot', digits: 1, unit: '%' },
+    settlingTime: { label: 'Settling', digits: 2, unit: ' s' }
+};